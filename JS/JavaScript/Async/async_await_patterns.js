@@ -190,9 +190,27 @@ console.log("=== await Keyword ===");
  * console.log("End");             // Runs AFTER fetch completes
  */
 
-// Helper function for examples
-function delay(ms, value) {
-  return new Promise(resolve => setTimeout(() => resolve(value), ms));
+// Helper for examples: resolve with `value` after `ms`.
+// Pass a signal to cancel the wait - the timer is cleared and the
+// promise rejects with signal.reason (see PATTERN 2 for timeouts)
+function sleep(ms, value, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve(value);
+    }, ms);
+    
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
 }
 
 /**
@@ -205,11 +223,11 @@ async function fetchUserData() {
   console.log("1. Starting fetch...");
   
   // WAIT for this to complete before moving on
-  const user = await delay(1000, { id: 1, name: "Alice" });
+  const user = await sleep(1000, { id: 1, name: "Alice" });
   console.log("2. Got user:", user);
   
   // WAIT for this to complete before moving on
-  const posts = await delay(1000, ["Post 1", "Post 2"]);
+  const posts = await sleep(1000, ["Post 1", "Post 2"]);
   console.log("3. Got posts:", posts);
   
   console.log("4. All done!");
@@ -223,11 +241,11 @@ async function fetchUserData() {
  * EXECUTION TRACE:
  * ----------------
  * Time 0ms:   "1. Starting fetch..."
- * Time 0ms:   await delay(1000) → PAUSE HERE
+ * Time 0ms:   await sleep(1000) → PAUSE HERE
  *             (JavaScript does other things for 1 second)
  * Time 1000ms: await completes, user = { id: 1, name: "Alice" }
  * Time 1000ms: "2. Got user: ..."
- * Time 1000ms: await delay(1000) → PAUSE HERE AGAIN
+ * Time 1000ms: await sleep(1000) → PAUSE HERE AGAIN
  *             (JavaScript does other things for 1 second)
  * Time 2000ms: await completes, posts = ["Post 1", "Post 2"]
  * Time 2000ms: "3. Got posts: ..."
@@ -366,35 +384,115 @@ async function fetchWithErrorHandling() {
 /**
  * EXAMPLE 2: Handling specific errors
  * ------------------------------------
+ * Custom error classes let the catch block check the KIND of error
+ * with instanceof, instead of searching the message text.
+ * (Full version with AbortError and a shared FetchError base:
+ * DOM_and_Fetch/fetch_api_advanced.js, section 3)
  */
 
+class HttpError extends Error {
+  constructor(message, details = {}) {
+    super(message, { cause: details.cause });
+    this.name = "HttpError";
+    this.url = details.url;
+    this.method = details.method || "GET";
+    this.status = details.status;
+    this.headers = details.headers || {};
+    this.body = details.body ?? null;
+  }
+}
+
+class NetworkError extends Error {
+  constructor(message, details = {}) {
+    super(message, { cause: details.cause });
+    this.name = "NetworkError";
+    this.url = details.url;
+    this.method = details.method || "GET";
+  }
+}
+
+class TimeoutError extends Error {
+  constructor(message, details = {}) {
+    super(message, { cause: details.cause });
+    this.name = "TimeoutError";
+    this.timeout = details.timeout;
+  }
+}
+
+class ParseError extends Error {
+  constructor(message, details = {}) {
+    super(message, { cause: details.cause });
+    this.name = "ParseError";
+    this.url = details.url;
+    this.method = details.method || "GET";
+    this.status = details.status;
+    this.headers = details.headers || {};
+  }
+}
+
+// Build an HttpError from a failed response (reads the error body)
+async function toHttpError(response, method = "GET", message) {
+  const text = await response.text().catch(() => "");
+  let body = text || null;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    // Not JSON - keep the text
+  }
+
+  return new HttpError(message || `HTTP ${response.status}`, {
+    url: response.url,
+    method,
+    status: response.status,
+    headers: Object.fromEntries(response.headers),
+    body
+  });
+}
+
+// response.json() that turns a malformed body into a ParseError
+function readJSON(response, method = "GET") {
+  return response.json().catch(error => {
+    if (error.name !== "SyntaxError") throw error;
+    throw new ParseError(`Invalid JSON from ${response.url}: ${error.message}`, {
+      url: response.url,
+      method,
+      status: response.status,
+      headers: Object.fromEntries(response.headers),
+      cause: error
+    });
+  });
+}
+
+// fetch() that turns "no response" into a NetworkError
+// (transport: any fetch-compatible function, e.g. a mock in tests)
+async function sendRequest(url, options = {}, transport = fetch) {
+  try {
+    return await transport(url, options);
+  } catch (error) {
+    // Cancelled or timed out: not a network failure, pass it through
+    if (error.name === "AbortError" || error.name === "TimeoutError") throw error;
+    throw new NetworkError(error.message, { url, method: options.method, cause: error });
+  }
+}
+
 async function fetchUserById(id) {
   try {
-    const response = await fetch(`https://jsonplaceholder.typicode.com/users/${id}`);
-    
-    // Handle different HTTP status codes
-    if (response.status === 404) {
-      throw new Error("User not found");
-    }
-    
-    if (response.status === 401) {
-      throw new Error("Unauthorized - please log in");
-    }
+    const response = await sendRequest(`https://jsonplaceholder.typicode.com/users/${id}`);
     
     if (!response.ok) {
-      throw new Error(`Request failed: ${response.status}`);
+      throw await toHttpError(response);
     }
     
     return await response.json();
     
   } catch (error) {
     // Check error type and handle accordingly
-    if (error.message.includes("not found")) {
+    if (error instanceof HttpError && error.status === 404) {
       console.log("User doesn't exist");
       return null;
     }
     
-    if (error.message.includes("Unauthorized")) {
+    if (error instanceof HttpError && error.status === 401) {
       console.log("Need to authenticate");
       // Redirect to login
       return null;
@@ -461,11 +559,11 @@ async function sequentialExample() {
   console.time("sequential");
   
   // Wait for first to complete
-  const user = await delay(1000, "Alice");      // 1 second
+  const user = await sleep(1000, "Alice");      // 1 second
   console.log("Got user:", user);
   
   // Then wait for second to complete
-  const posts = await delay(1000, ["Post 1"]);  // 1 second
+  const posts = await sleep(1000, ["Post 1"]);  // 1 second
   console.log("Got posts:", posts);
   
   console.timeEnd("sequential"); // Total: ~2 seconds
@@ -497,8 +595,8 @@ async function parallelExample() {
   console.time("parallel");
   
   // Start BOTH operations at once (don't await yet!)
-  const userPromise = delay(1000, "Alice");
-  const postsPromise = delay(1000, ["Post 1"]);
+  const userPromise = sleep(1000, "Alice");
+  const postsPromise = sleep(1000, ["Post 1"]);
   
   // Now wait for BOTH to complete
   const user = await userPromise;   // Already running!
@@ -531,9 +629,9 @@ async function parallelWithPromiseAll() {
   
   // Run all at once and wait for ALL to complete
   const [user, posts, comments] = await Promise.all([
-    delay(1000, "Alice"),
-    delay(1500, ["Post 1", "Post 2"]),
-    delay(800, ["Comment 1"])
+    sleep(1000, "Alice"),
+    sleep(1500, ["Post 1", "Post 2"]),
+    sleep(800, ["Comment 1"])
   ]);
   
   console.timeEnd("Promise.all"); // Total: ~1500ms (longest one)
@@ -603,62 +701,152 @@ console.log("=== Common Patterns ===");
 /**
  * PATTERN 1: Retry logic
  * -----------------------
+ * Only retry failures that might succeed next time:
+ * ✅ Network errors, 5xx, 429 (Too Many Requests)
+ * ❌ 4xx like 400/401/404 - the same request will fail again
+ * ❌ POST - retrying could create the same thing twice
+ *
+ * Wait longer after each failure (exponential backoff) and add
+ * randomness (jitter) so many clients don't retry at the same moment.
+ *
+ * This version only teaches the basic idea. It has no Retry-After,
+ * no total time cap, no per-method rules and no attempt hook - don't
+ * reuse it as a client's retry logic. API and ApiClient share one
+ * configurable RetryPolicy for that: DOM_and_Fetch/fetch_api_advanced.js
  */
 
 async function fetchWithRetry(url, maxRetries = 3) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+  for (let attempt = 1; ; attempt++) {
     try {
       console.log(`Attempt ${attempt}/${maxRetries}`);
-      const response = await fetch(url);
+      const response = await sendRequest(url);  // NetworkError if no response
       
       if (response.ok) {
         return await response.json();
       }
       
-      // If not last attempt, wait and retry
-      if (attempt < maxRetries) {
-        await delay(1000 * attempt); // Exponential backoff
+      // Client errors won't fix themselves - fail immediately
+      const retryable = response.status >= 500 || response.status === 429;
+      if (!retryable || attempt === maxRetries) {
+        throw await toHttpError(response);
       }
       
     } catch (error) {
-      if (attempt === maxRetries) {
-        throw new Error(`Failed after ${maxRetries} attempts: ${error.message}`);
+      // Only "no response at all" is worth another try from here
+      if (!(error instanceof NetworkError) || attempt === maxRetries) {
+        throw error;
       }
-      // Wait and retry
-      await delay(1000 * attempt);
     }
+    
+    // Wait 0-1s, 0-2s, 0-4s, ... before the next attempt
+    await sleep(Math.random() * 1000 * 2 ** (attempt - 1));
   }
 }
 
 /**
- * PATTERN 2: Timeout wrapper
- * ---------------------------
+ * PATTERN 2: Timeouts and deadlines
+ * ----------------------------------
+ * The classic version leaks:
+ *
+ *   Promise.race([fetch(url), timeout(5000)])
+ *
+ * - fetch wins → the timer still fires 5s later (into nothing)
+ * - timer wins → the request keeps downloading in the background
+ *
+ * withTimeout(task, ms, { signal })
+ *   task(signal) → Promise. The signal aborts when time is up (or
+ *   the outer signal aborts), so pass it on to fetch/sleep/children.
+ *   Rejects with TimeoutError; the timer is always cleared.
+ *
+ * withDeadline(at, task, { signal })
+ *   Same, with an absolute time: "done by `at`" (Date or epoch ms).
+ *
+ * Deadlines propagate: the signal a task receives remembers its
+ * deadline, and any nested withTimeout/withDeadline given that signal
+ * is capped by it. So a 2s step inside a 3s budget that is already
+ * 2.5s in gets 0.5s, not 2s. timeLeft(signal) reads what's left.
  */
 
-function timeout(ms) {
-  return new Promise((_, reject) => {
-    setTimeout(() => reject(new Error("Timeout")), ms);
+function timeLeft(signal) {
+  return signal && signal.deadline !== undefined
+    ? Math.max(0, signal.deadline - Date.now())
+    : Infinity;
+}
+
+function withDeadline(at, task, { signal, error } = {}) {
+  const parentDeadline = signal && signal.deadline !== undefined ? signal.deadline : Infinity;
+  const deadline = Math.min(Number(at), parentDeadline);
+  
+  const controller = new AbortController();
+  controller.signal.deadline = deadline;
+  
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal) {
+    if (signal.aborted) onAbort();
+    else signal.addEventListener("abort", onAbort, { once: true });
+  }
+  
+  const timer = setTimeout(() => {
+    controller.abort(error || new TimeoutError("Deadline exceeded"));
+  }, Math.max(0, deadline - Date.now()));
+  
+  // Don't wait for a task that ignores its signal
+  let onTimeout;
+  const aborted = new Promise((_, reject) => {
+    onTimeout = () => reject(controller.signal.reason);
+    if (controller.signal.aborted) onTimeout();
+    else controller.signal.addEventListener("abort", onTimeout, { once: true });
+  });
+  
+  const run = async () => (typeof task === "function" ? task(controller.signal) : task);
+  
+  return Promise.race([run(), aborted]).finally(() => {
+    clearTimeout(timer);
+    controller.signal.removeEventListener("abort", onTimeout);
+    if (signal) signal.removeEventListener("abort", onAbort);
   });
 }
 
-async function fetchWithTimeout(url, timeoutMs = 5000) {
+function withTimeout(task, ms, { signal } = {}) {
+  return withDeadline(Date.now() + ms, task, {
+    signal,
+    error: new TimeoutError(`Timed out after ${ms}ms`, { timeout: ms })
+  });
+}
+
+async function fetchWithTimeout(url, timeoutMs = 5000, { signal } = {}) {
   try {
-    // Race: whichever finishes first wins
-    const response = await Promise.race([
-      fetch(url),
-      timeout(timeoutMs)
-    ]);
-    
-    return await response.json();
+    // The timeout covers reading the body too, and aborts the request
+    return await withTimeout(async signal => {
+      const response = await fetch(url, { signal });
+      return response.json();
+    }, timeoutMs, { signal });
     
   } catch (error) {
-    if (error.message === "Timeout") {
+    if (error instanceof TimeoutError) {
       console.error("Request timed out");
     }
     throw error;
   }
 }
 
+// One budget for the whole page: each step gets at most 2s,
+// and never more than what's left of the 3s
+async function loadProfilePage(userId, { signal } = {}) {
+  return withDeadline(Date.now() + 3000, async signal => {
+    const user = await fetchWithTimeout(`/api/users/${userId}`, 2000, { signal });
+    const posts = await fetchWithTimeout(`/api/posts?userId=${user.id}`, 2000, { signal });
+    return { user, posts };
+  }, { signal });
+}
+
+// Usage
+// const controller = new AbortController();
+// loadProfilePage(1, { signal: controller.signal });
+// controller.abort();  // cancels whichever fetch is running
+//
+// await sleep(1000, "done", { signal: AbortSignal.timeout(500) });  // rejects at 500ms
+
 /**
  * PATTERN 3: Processing array items sequentially
  * -----------------------------------------------
@@ -692,23 +880,242 @@ async function processInParallel(items) {
 /**
  * PATTERN 5: Processing with concurrency limit
  * ---------------------------------------------
+ * Fixed batches (slice 3, Promise.all, next 3...) have two problems:
+ * - one slow item stalls the whole batch while the other slots sit idle
+ * - one rejection makes Promise.all throw away every other result
+ *
+ * A worker pool keeps `limit` tasks running at ALL times: as soon as
+ * one finishes the next starts (sliding window).
+ *
+ * TIMELINE (limit = 2, A takes 3s, B/C/D take 1s):
+ * Batches: [A B]───3s───[C D]─1s─         → 4s
+ * Pool:    A───────3s
+ *          B─1s─C─1s─D─1s                 → 3s
+ *
+ * TaskPool:
+ * - results keep the input order, in Promise.allSettled shape:
+ *   { status: "fulfilled", value } | { status: "rejected", reason }
+ * - pause() / resume() stop / restart picking up new tasks
+ * - cancel() aborts running tasks (via their signal) and skips the rest
+ * - timeout: per-task limit in ms (rejects with TimeoutError)
+ * - onProgress({ done, total, completed, failed, running })
  */
 
+class TaskPool {
+  constructor(options = {}) {
+    this.limit = options.limit ?? 3;
+    this.timeout = options.timeout ?? 0;         // 0 = no per-task timeout
+    this.onProgress = options.onProgress || (() => {});
+    this.controller = new AbortController();
+    this.paused = false;
+    this.resumed = null;                          // promise idle workers wait on
+    this.wake = null;
+  }
+  
+  pause() {
+    this.paused = true;
+  }
+  
+  resume() {
+    this.paused = false;
+    if (this.wake) {
+      this.wake();
+      this.wake = null;
+      this.resumed = null;
+    }
+  }
+  
+  cancel(reason = new Error("Pool cancelled")) {
+    this.controller.abort(reason);
+    this.resume();  // let paused workers see the cancellation and exit
+  }
+  
+  waitWhilePaused() {
+    if (!this.paused) return null;
+    if (!this.resumed) {
+      this.resumed = new Promise(resolve => { this.wake = resolve; });
+    }
+    return this.resumed;
+  }
+  
+  // worker(item, { signal, index }) → Promise
+  async run(items, worker) {
+    const results = new Array(items.length);
+    const stats = { total: items.length, completed: 0, failed: 0, running: 0 };
+    let next = 0;
+    
+    const runWorker = async () => {
+      while (next < items.length) {
+        await this.waitWhilePaused();
+        if (this.controller.signal.aborted || next >= items.length) return;
+        
+        const index = next++;
+        stats.running++;
+        
+        try {
+          const value = await this.runTask(worker, items[index], index);
+          results[index] = { status: "fulfilled", value };
+          stats.completed++;
+        } catch (reason) {
+          results[index] = { status: "rejected", reason };
+          stats.failed++;
+        }
+        
+        stats.running--;
+        this.onProgress({ ...stats, done: stats.completed + stats.failed, index });
+      }
+    };
+    
+    const workers = Math.min(this.limit, items.length);
+    await Promise.all(Array.from({ length: workers }, runWorker));
+    
+    // Items that never started because of cancel()
+    for (let i = 0; i < items.length; i++) {
+      if (!results[i]) {
+        results[i] = { status: "rejected", reason: this.controller.signal.reason };
+      }
+    }
+    
+    return results;
+  }
+  
+  async runTask(worker, item, index) {
+    // Per-task signal: aborted by cancel() or by this task's timeout
+    const controller = new AbortController();
+    const onCancel = () => controller.abort(this.controller.signal.reason);
+    this.controller.signal.addEventListener("abort", onCancel, { once: true });
+    
+    const timer = this.timeout
+      ? setTimeout(() => {
+        controller.abort(new TimeoutError(`Task ${index} timed out after ${this.timeout}ms`, { timeout: this.timeout }));
+      }, this.timeout)
+      : null;
+    
+    // Don't wait for a task that ignores its signal
+    const aborted = new Promise((_, reject) => {
+      controller.signal.addEventListener("abort", () => reject(controller.signal.reason), { once: true });
+    });
+    
+    try {
+      return await Promise.race([worker(item, { signal: controller.signal, index }), aborted]);
+    } finally {
+      clearTimeout(timer);
+      this.controller.signal.removeEventListener("abort", onCancel);
+    }
+  }
+}
+
 async function processWithLimit(items, limit = 3) {
-  const results = [];
+  const pool = new TaskPool({ limit });
+  return pool.run(items, item => processItem(item));
+}
+
+// Usage
+// const pool = new TaskPool({
+//   limit: 5,
+//   timeout: 10000,
+//   onProgress: ({ done, total }) => console.log(`${done}/${total}`)
+// });
+// const results = await pool.run(userIds, (id, { signal }) =>
+//   fetch(`/api/users/${id}`, { signal }).then(r => r.json())
+// );
+// const users = results.filter(r => r.status === "fulfilled").map(r => r.value);
+// const failed = results.filter(r => r.status === "rejected");
+//
+// pool.pause();   // e.g. while the tab is hidden
+// pool.resume();
+// pool.cancel();  // user left the page
+
+/**
+ * PATTERN 6: Memoizing async functions
+ * -------------------------------------
+ * Caching the RESULT of an async call has a gap: ten callers asking
+ * for user 1 at the same moment all miss and send ten requests.
+ * Cache the PROMISE instead, and concurrent callers share one call.
+ *
+ * memoize(fn, options)
+ *   options.max  → keep at most N results, dropping the least
+ *                  recently used (default 100)
+ *   options.ttl  → ms a result stays fresh after it settles
+ *   options.key  → (...args) => cache key (default: JSON of the args)
+ *
+ * - A rejected promise is evicted, so the next call tries again
+ * - Sync functions work too: the value is cached, a throw is not
+ * - memoized.invalidate(...args) / memoized.clear() / memoized.size
+ *
+ * A module-level cache like this is shared by every request in a Node
+ * service and by every component instance in React. This is the one
+ * definition to copy - the React useMemo examples
+ * (React/Hooks/useReducer_useMemo_useCallback.jsx) use it too.
+ */
+
+function memoize(fn, options = {}) {
+  const max = options.max ?? 100;
+  const ttl = options.ttl ?? Infinity;
+  const keyOf = options.key ?? ((...args) => JSON.stringify(args));
+  
+  // Map keeps insertion order: re-inserting on every hit makes the
+  // first key the least recently used
+  const cache = new Map();  // key → { value, expires }
   
-  for (let i = 0; i < items.length; i += limit) {
-    // Process 'limit' items at a time
-    const batch = items.slice(i, i + limit);
-    const batchResults = await Promise.all(
-      batch.map(item => processItem(item))
-    );
-    results.push(...batchResults);
+  function memoized(...args) {
+    const key = keyOf(...args);
+    const cached = cache.get(key);
+    
+    if (cached) {
+      cache.delete(key);
+      if (cached.expires > Date.now()) {
+        cache.set(key, cached);
+        return cached.value;
+      }
+    }
+    
+    const value = fn.apply(this, args);
+    // In-flight promises never expire - the clock starts when they settle
+    const entry = { value, expires: Infinity };
+    cache.set(key, entry);
+    
+    if (cache.size > max) {
+      cache.delete(cache.keys().next().value);
+    }
+    
+    if (value && typeof value.then === "function") {
+      value.then(
+        () => { entry.expires = Date.now() + ttl; },
+        () => {
+          // Unless it was already invalidated/replaced
+          if (cache.get(key) === entry) cache.delete(key);
+        }
+      );
+    } else {
+      entry.expires = Date.now() + ttl;
+    }
+    
+    return value;
   }
   
-  return results;
+  memoized.invalidate = (...args) => cache.delete(keyOf(...args));
+  memoized.clear = () => cache.clear();
+  Object.defineProperty(memoized, "size", { get: () => cache.size });
+  
+  return memoized;
 }
 
+const getUserCached = memoize(fetchUserById, { max: 500, ttl: 60000 });
+
+// Usage
+// await Promise.all([getUserCached(1), getUserCached(1), getUserCached(2)]);
+// // → 2 requests, not 3
+//
+// await updateUser(1, changes);
+// getUserCached.invalidate(1);  // next call fetches fresh data
+//
+// // Key on part of the arguments:
+// const search = memoize(query => getJSON(`/api/search?q=${encodeURIComponent(query)}`), {
+//   key: query => query.trim().toLowerCase(),  // "Alice " and "alice" share a result
+//   ttl: 30000
+// });
+
 /* ============================================================
    7. Real-World Examples
    ============================================================ */
@@ -720,16 +1127,45 @@ console.log("=== Real-World Examples ===");
  * ------------------------------------
  */
 
+// (defineResource in DOM_and_Fetch/fetch_api_basics.js generates this
+// kind of client - plus nested resources and custom actions - from a
+// short description instead of writing each method by hand)
 class UserAPI {
-  constructor(baseUrl) {
+  // options.transport: fetch-compatible function - pass
+  // new MockRouter().transport (DOM_and_Fetch/fetch_api_advanced.js)
+  // to test without hitting the real server
+  //
+  // options.validate: (user, url) => user - check/coerce each user
+  // before it's returned, e.g. with the Mongoose-style userSchema from
+  // DOM_and_Fetch/fetch_api_basics.js:
+  //   validate: (user, url) => validateSchema(userSchema, user, { url })
+  // which throws a ValidationError listing every failing path
+  constructor(baseUrl, options = {}) {
     this.baseUrl = baseUrl;
+    this.transport = options.transport || ((url, init) => fetch(url, init));
+    this.validate = options.validate || (user => user);
+    
+    // options.offline: an OfflineQueue (below) - create/update/delete
+    // made without a connection are stored and replayed later
+    this.offline = options.offline || null;
+    this.versions = new Map();  // id → ETag last seen, for conflict checks
+    
+    if (this.offline && typeof window !== "undefined") {
+      const sync = () => this.sync().catch(error => console.error("Offline sync failed:", error));
+      window.addEventListener("online", sync);
+      if (!this.offline.isOffline()) sync();  // leftovers from last session
+    }
+  }
+  
+  send(url, options) {
+    return sendRequest(url, options, this.transport);
   }
   
   async getAll() {
     try {
-      const response = await fetch(`${this.baseUrl}/users`);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
+      const response = await this.send(`${this.baseUrl}/users`);
+      if (!response.ok) throw await toHttpError(response);
+      return await readJSON(response);
     } catch (error) {
       console.error("Failed to get users:", error);
       throw error;
@@ -737,117 +1173,699 @@ class UserAPI {
   }
   
   async getById(id) {
-    const response = await fetch(`${this.baseUrl}/users/${id}`);
+    const url = `${this.baseUrl}/users/${id}`;
+    const response = await this.send(url);
     if (!response.ok) {
-      if (response.status === 404) {
-        throw new Error("User not found");
-      }
-      throw new Error(`HTTP ${response.status}`);
+      const message = response.status === 404 ? "User not found" : undefined;
+      throw await toHttpError(response, "GET", message);
     }
-    return await response.json();
+    const etag = response.headers.get("ETag");
+    if (etag) this.versions.set(String(id), etag);
+    return this.validate(await readJSON(response), url);
   }
   
   async create(userData) {
-    const response = await fetch(`${this.baseUrl}/users`, {
+    const response = await this.sendMutation(`${this.baseUrl}/users`, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify(userData)
     });
     
-    if (!response.ok) throw new Error("Failed to create user");
-    return await response.json();
+    if (response.queued) return response;
+    if (!response.ok) throw await toHttpError(response, "POST", "Failed to create user");
+    return await readJSON(response, "POST");
   }
   
   async update(id, updates) {
-    const response = await fetch(`${this.baseUrl}/users/${id}`, {
+    const response = await this.sendMutation(`${this.baseUrl}/users/${id}`, {
       method: "PATCH",
-      headers: { "Content-Type": "application/json" },
+      headers: { "Content-Type": "application/json", ...this.ifMatch(id) },
       body: JSON.stringify(updates)
     });
     
-    if (!response.ok) throw new Error("Failed to update user");
-    return await response.json();
+    if (response.queued) return response;
+    if (!response.ok) throw await toHttpError(response, "PATCH", "Failed to update user");
+    return await readJSON(response, "PATCH");
   }
   
   async delete(id) {
-    const response = await fetch(`${this.baseUrl}/users/${id}`, {
-      method: "DELETE"
+    const response = await this.sendMutation(`${this.baseUrl}/users/${id}`, {
+      method: "DELETE",
+      headers: this.ifMatch(id)
     });
     
-    if (!response.ok) throw new Error("Failed to delete user");
+    if (response.queued) return response;
+    if (!response.ok) throw await toHttpError(response, "DELETE", "Failed to delete user");
     return true;
   }
+  
+  // The server answers 412 if the user changed since we last read it
+  ifMatch(id) {
+    const etag = this.versions.get(String(id));
+    return etag ? { "If-Match": etag } : {};
+  }
+  
+  // Offline (or the request never got an answer): queue it instead of
+  // throwing. Resolves with { queued: true, mutationId, mutation } then.
+  async sendMutation(url, options) {
+    if (!this.offline) return this.send(url, options);
+    if (this.offline.isOffline()) return this.offline.enqueue({ url, ...options });
+    
+    // Older queued mutations go first - sent directly, this one would
+    // be overwritten by the stale replay that follows it
+    await this.offline.load();
+    if (this.offline.pending > 0 || this.offline.replaying) {
+      const drained = await this.sync();
+      if (!drained) return this.offline.enqueue({ url, ...options });
+    }
+    
+    try {
+      return await this.send(url, options);
+    } catch (error) {
+      if (error instanceof NetworkError) return this.offline.enqueue({ url, ...options });
+      throw error;
+    }
+  }
+  
+  // Replay queued mutations in order
+  sync() {
+    return this.offline.replay((url, options) => this.send(url, options));
+  }
 }
 
+/**
+ * EXAMPLE 1b: Offline mutation queue
+ * -----------------------------------
+ * Mutations made while offline go into a persistent "outbox" and are
+ * replayed IN ORDER once the connection is back (create before update
+ * before delete). Replay stops at the first network failure - the rest
+ * waits for the next attempt.
+ *
+ * Conflicts: queued updates/deletes carry If-Match with the ETag we
+ * last saw. If someone else changed the user meanwhile the server
+ * answers 412 (or 409) and onConflict decides:
+ *   "discard"   → drop our change (default)
+ *   "overwrite" → resend without If-Match (last write wins)
+ *
+ * Events (for UI like SubscriptionExample in React/Hooks/useEffect_hook.jsx):
+ *   queued, sync, synced, conflict, failed, paused, drained
+ */
+
+// Storage adapters: { load() → items, save(items) }
+function localStorageStore(key = "offline-queue") {
+  return {
+    async load() {
+      return JSON.parse(localStorage.getItem(key) || "[]");
+    },
+    async save(items) {
+      localStorage.setItem(key, JSON.stringify(items));
+    }
+  };
+}
+
+function indexedDBStore(dbName = "offline-queue", storeName = "mutations") {
+  let db = null;
+  
+  const open = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open(dbName, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  
+  const run = async (mode, action) => {
+    db = db || await open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = action(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  };
+  
+  return {
+    async load() {
+      return (await run("readonly", store => store.get("items"))) || [];
+    },
+    async save(items) {
+      await run("readwrite", store => store.put(items, "items"));
+    }
+  };
+}
+
+// Node: write to a temp file, then rename - a crash never leaves half a file
+function fileStore(path) {
+  const fs = require("fs/promises");
+  
+  return {
+    async load() {
+      try {
+        return JSON.parse(await fs.readFile(path, "utf8"));
+      } catch (error) {
+        if (error.code === "ENOENT") return [];
+        throw error;
+      }
+    },
+    async save(items) {
+      await fs.writeFile(`${path}.tmp`, JSON.stringify(items, null, 2));
+      await fs.rename(`${path}.tmp`, path);
+    }
+  };
+}
+
+class OfflineQueue {
+  constructor(options = {}) {
+    this.store = options.store || localStorageStore();
+    // (mutation, response) => "discard" | "overwrite"
+    this.onConflict = options.onConflict || (() => "discard");
+    this.items = null;       // loaded lazily from the store
+    this.loading = null;     // the one in-progress load, shared by every caller
+    this.replaying = null;
+    this.listeners = {};
+  }
+  
+  on(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+    return () => {
+      this.listeners[type] = this.listeners[type].filter(fn => fn !== listener);
+    };
+  }
+  
+  emit(type, detail) {
+    (this.listeners[type] || []).forEach(listener => listener({ type, pending: this.pending, ...detail }));
+  }
+  
+  get pending() {
+    return this.items ? this.items.length : 0;
+  }
+  
+  isOffline() {
+    return typeof navigator !== "undefined" && navigator.onLine === false;
+  }
+  
+  // Concurrent callers share one load - a second load would replace
+  // the array the first caller already pushed into
+  load() {
+    if (!this.loading) {
+      this.loading = this.store.load().then(
+        items => {
+          this.items = items;
+          return items;
+        },
+        error => {
+          this.loading = null;  // let the next call try again
+          throw error;
+        }
+      );
+    }
+    return this.loading;
+  }
+  
+  async enqueue(request) {
+    await this.load();
+    const mutation = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      ...request,
+      queuedAt: new Date().toISOString()
+    };
+    
+    this.items.push(mutation);
+    await this.store.save(this.items);
+    this.emit("queued", { mutation });
+    
+    // mutationId, not id - it's easy to mistake for the user's id
+    return { queued: true, mutationId: mutation.id, mutation };
+  }
+  
+  // send(url, options) → Response; only one replay runs at a time
+  replay(send) {
+    if (!this.replaying) {
+      this.replaying = this.drain(send).finally(() => {
+        this.replaying = null;
+      });
+    }
+    return this.replaying;
+  }
+  
+  async drain(send) {
+    await this.load();
+    if (!this.items.length) return true;
+    this.emit("sync", {});
+    
+    while (this.items.length) {
+      const mutation = this.items[0];
+      const { id, url, queuedAt, ...options } = mutation;
+      let response;
+      
+      try {
+        response = await send(url, options);
+      } catch (error) {
+        // Still offline - keep this one and everything after it
+        this.emit("paused", { error });
+        return false;
+      }
+      
+      if (response.status === 409 || response.status === 412) {
+        const resolution = await this.onConflict(mutation, response);
+        this.emit("conflict", { mutation, status: response.status, resolution });
+        
+        if (resolution === "overwrite") {
+          mutation.headers = { ...mutation.headers };
+          delete mutation.headers["If-Match"];
+          await this.store.save(this.items);
+          continue;
+        }
+      } else if (!response.ok) {
+        // 4xx/5xx won't fix itself by retrying in a loop - report and move on
+        this.emit("failed", { mutation, error: await toHttpError(response, mutation.method) });
+      } else {
+        this.emit("synced", { mutation, response });
+      }
+      
+      this.items.shift();
+      await this.store.save(this.items);
+    }
+    
+    this.emit("drained", {});
+    return true;
+  }
+}
+
+// Usage
+// const outbox = new OfflineQueue({
+//   store: indexedDBStore("user-api"),     // or localStorageStore(), fileStore("./outbox.json") in Node
+//   onConflict: (mutation, response) => confirm("Someone else changed this user. Overwrite?")
+//     ? "overwrite"
+//     : "discard"
+// });
+// const users = new UserAPI("https://api.example.com", { offline: outbox });
+//
+// await users.update(1, { name: "Ann" });  // offline → { queued: true, mutationId, mutation }
+// outbox.on("synced", ({ pending }) => console.log(`${pending} changes left`));
+// outbox.on("conflict", ({ mutation }) => console.warn("Conflict on", mutation.url));
+// await users.sync();                      // Node: call when the network is back
+
 /**
  * EXAMPLE 2: Data pipeline
  * -------------------------
+ * A hard-coded list of awaits with one catch-all gets messy quickly:
+ * which step failed? how long did each take? what about the rows
+ * already saved when the notification step blows up?
+ *
+ * Pipeline describes the same flow as named stages:
+ *
+ * .stage(name, run, options)
+ *   run(input, context)  → output for the next stage
+ *                          (return an async iterable to STREAM items
+ *                          to the next stage instead of a whole array)
+ *   options.each         → call run once per item, streaming results
+ *   options.retries      → extra attempts (per item for `each` stages)
+ *   options.timeout      → ms per attempt (context.signal aborts then)
+ *   options.compensate   → (output, context) => undo the stage's work
+ *
+ * When a stage fails, context.signal aborts and the streams feeding it
+ * stop, then every stage that already did work is compensated
+ * newest-first (streaming stages get the items that got through), and
+ * run() resolves with a report instead of a bare error:
+ *
+ * { status: "failed", error, duration, output,
+ *   stages: [{ name, status, attempts, duration, items, error, compensated }] }
  */
 
-async function dataProcessingPipeline() {
-  try {
-    console.log("1. Fetching raw data...");
-    const rawData = await fetchRawData();
+function isAsyncIterable(value) {
+  return value != null && typeof value[Symbol.asyncIterator] === "function";
+}
+
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+}
+
+class Pipeline {
+  constructor(name = "pipeline") {
+    this.name = name;
+    this.stages = [];
+  }
+  
+  stage(name, run, options = {}) {
+    this.stages.push({ name, run, ...options });
+    return this;  // chainable
+  }
+  
+  async run(input, options = {}) {
+    const startedAt = Date.now();
     
-    console.log("2. Validating data...");
-    const validData = await validateData(rawData);
+    // Aborted when a stage fails, so nothing keeps running after run()
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(options.signal.reason);
+    if (options.signal) {
+      if (options.signal.aborted) onAbort();
+      else options.signal.addEventListener("abort", onAbort, { once: true });
+    }
     
-    console.log("3. Transforming data...");
-    const transformedData = await transformData(validData);
+    const context = { signal: controller.signal, results: {}, streams: [] };  // results: output by stage name
+    const report = {
+      name: this.name,
+      status: "running",
+      stages: this.stages.map(stage => ({ name: stage.name, status: "pending", attempts: 0, duration: 0 }))
+    };
+    const done = [];  // { stage, entry, output } - what may need compensating
+    let value = input;
     
-    console.log("4. Saving to database...");
-    const savedData = await saveToDatabase(transformedData);
+    try {
+      for (const [index, stage] of this.stages.entries()) {
+        const entry = report.stages[index];
+        context.signal.throwIfAborted();
+        
+        if (stage.each) {
+          value = this.track(stage, entry, this.mapEach(stage, entry, value, context), done, context);
+        } else {
+          value = await this.runStage(stage, entry, value, context, done);
+        }
+      }
+      
+      // Pull the last stream through, which runs every streaming stage
+      report.output = isAsyncIterable(value) ? await collect(value) : value;
+      report.status = "completed";
+      
+    } catch (error) {
+      report.status = "failed";
+      report.error = error;
+      controller.abort(error);
+      
+      // Stop the streams still feeding an abandoned stage, newest first.
+      // return() waits for the item in progress, so `done` is complete
+      // before anything is compensated.
+      for (const stream of [...context.streams].reverse()) {
+        await stream.return().catch(() => {});
+      }
+      // (with the caller's signal - the run's own one is aborted by now)
+      await this.compensate(done, { ...context, signal: options.signal });
+      
+    } finally {
+      if (options.signal) options.signal.removeEventListener("abort", onAbort);
+    }
     
-    console.log("5. Sending notification...");
-    await sendNotification(savedData);
+    for (const entry of report.stages) {
+      if (entry.status === "pending") entry.status = "skipped";
+    }
+    report.duration = Date.now() - startedAt;
     
-    console.log("✅ Pipeline completed successfully!");
-    return savedData;
+    // A copy: a stage ignoring the signal can't change it afterwards
+    return { ...report, stages: report.stages.map(entry => ({ ...entry })) };
+  }
+  
+  async runStage(stage, entry, input, context, done) {
+    const startedAt = Date.now();
+    entry.status = "running";
     
-  } catch (error) {
-    console.error("❌ Pipeline failed:", error);
-    await logError(error);
-    throw error;
+    try {
+      const output = await this.attempt(stage, entry, attemptContext => stage.run(input, attemptContext), context);
+      
+      if (isAsyncIterable(output)) {
+        return this.track(stage, entry, output, done, context);
+      }
+      
+      entry.status = "completed";
+      entry.duration = Date.now() - startedAt;
+      context.results[stage.name] = output;
+      done.push({ stage, entry, output });
+      return output;
+      
+    } catch (error) {
+      entry.status = "failed";
+      entry.error = error;
+      entry.duration = Date.now() - startedAt;
+      throw error;
+    }
+  }
+  
+  // `each` stage: one run() per item, results streamed as they finish
+  async *mapEach(stage, entry, input, context) {
+    for await (const item of input) {
+      context.signal.throwIfAborted();
+      yield await this.attempt(stage, entry, attemptContext => stage.run(item, attemptContext), context);
+    }
+  }
+  
+  // Wraps a stream to time it and remember what passed through.
+  // Runs lazily - only when the next stage reads from it.
+  track(stage, entry, iterable, done, context) {
+    const stream = this.trackItems(stage, entry, iterable, done);
+    context.streams.push(stream);
+    return stream;
+  }
+  
+  async *trackItems(stage, entry, iterable, done) {
+    const startedAt = Date.now();
+    const record = { stage, entry, output: [] };
+    entry.status = "streaming";
+    entry.items = 0;
+    done.push(record);
+    
+    try {
+      for await (const item of iterable) {
+        entry.items++;
+        if (stage.compensate) record.output.push(item);
+        yield item;
+      }
+      entry.status = "completed";
+    } catch (error) {
+      entry.status = "failed";
+      entry.error = error;
+      throw error;
+    } finally {
+      // A later stage stopped reading (it failed)
+      if (entry.status === "streaming") entry.status = "cancelled";
+      entry.duration = Date.now() - startedAt;
+    }
+  }
+  
+  // With a timeout, run() gets a context whose signal aborts at the
+  // stage deadline (or when the whole run is aborted)
+  async attempt(stage, entry, run, context) {
+    const retries = stage.retries ?? 0;
+    
+    for (let attempt = 1; ; attempt++) {
+      entry.attempts++;
+      try {
+        return stage.timeout
+          ? await withTimeout(signal => run({ ...context, signal }), stage.timeout, { signal: context.signal })
+          : await run(context);
+      } catch (error) {
+        if (attempt > retries || context.signal.aborted) throw error;
+        await sleep(100 * 2 ** (attempt - 1), undefined, { signal: context.signal });
+      }
+    }
+  }
+  
+  // Undo newest-first; a failing compensation is recorded, not thrown
+  async compensate(done, context) {
+    for (const { stage, entry, output } of [...done].reverse()) {
+      if (!stage.compensate) continue;
+      try {
+        await stage.compensate(output, context);
+        entry.compensated = true;
+      } catch (error) {
+        entry.compensated = false;
+        entry.compensationError = error;
+      }
+    }
   }
 }
 
+const dataPipeline = new Pipeline("data-processing")
+  .stage("fetch", () => fetchRawData(), { retries: 2, timeout: 10000 })
+  .stage("validate", rawData => validateData(rawData))
+  // Records flow one by one from here: the first rows are saved
+  // while later ones are still being transformed
+  .stage("transform", record => transformData(record), { each: true })
+  .stage("save", record => saveToDatabase(record), {
+    each: true,
+    retries: 3,
+    compensate: savedRecords => Promise.all(savedRecords.map(record => deleteFromDatabase(record.id)))
+  })
+  .stage("notify", async (savedRecords, { signal }) => {
+    const saved = await collect(savedRecords);
+    signal.throwIfAborted();  // timed out while collecting
+    await sendNotification(saved, { signal });
+    return saved;
+  }, { timeout: 5000 });
+
+async function dataProcessingPipeline() {
+  const report = await dataPipeline.run();
+  
+  console.table(report.stages.map(({ name, status, attempts, duration, items }) =>
+    ({ name, status, attempts, duration, items })));
+  
+  if (report.status === "failed") {
+    console.error("❌ Pipeline failed:", report.error);
+    await logError(report.error);
+    throw report.error;
+  }
+  
+  console.log(`✅ Pipeline completed in ${report.duration}ms`);
+  return report.output;
+}
+
 /**
  * EXAMPLE 3: Parallel data fetching with dependencies
  * ----------------------------------------------------
+ * "Fetch the user, then everything else with Promise.all" has two
+ * problems: one failing widget fails the whole dashboard, and adding a
+ * task that depends on posts means restructuring the awaits.
+ *
+ * runTaskGraph takes the dependencies as data instead:
+ *
+ * {
+ *   user:     { run: () => ... },
+ *   posts:    { deps: ["user"], run: ({ user }) => ... },
+ *   comments: { deps: ["user"], run: ..., optional: true, fallback: [] }
+ * }
+ *
+ * - Each task starts as soon as ITS dependencies are done (not stages)
+ * - run() gets the dependency results: { user } for posts
+ * - optional: on failure use `fallback` (value or (error) => value)
+ *   and keep going - dependents still run. A fallback that throws is
+ *   recorded in errors and the task counts as failed
+ * - Required task fails → its dependents are skipped, the rest run on
+ *
+ * Resolves with { results, errors } - never rejects for a task failure.
+ * Unknown dependencies and cycles throw before anything starts.
  */
 
-async function loadDashboard(userId) {
-  try {
-    // Step 1: Get user (needed for other requests)
-    const user = await fetch(`/api/users/${userId}`).then(r => r.json());
-    
-    // Step 2: Fetch all user-related data in parallel
-    const [posts, comments, favorites, followers] = await Promise.all([
-      fetch(`/api/posts?userId=${user.id}`).then(r => r.json()),
-      fetch(`/api/comments?userId=${user.id}`).then(r => r.json()),
-      fetch(`/api/favorites?userId=${user.id}`).then(r => r.json()),
-      fetch(`/api/followers?userId=${user.id}`).then(r => r.json())
-    ]);
-    
-    // Step 3: Process and return
-    return {
-      user,
-      posts,
-      comments,
-      favorites,
-      followers,
-      stats: {
-        totalPosts: posts.length,
-        totalComments: comments.length,
-        totalFavorites: favorites.length,
-        totalFollowers: followers.length
+function validateTaskGraph(tasks) {
+  const state = {};  // name → "visiting" | "done"
+  
+  const visit = (name, path) => {
+    if (state[name] === "done") return;
+    if (state[name] === "visiting") {
+      throw new Error(`Task graph has a cycle: ${[...path, name].join(" → ")}`);
+    }
+    state[name] = "visiting";
+    for (const dep of tasks[name].deps ?? []) {
+      if (!(dep in tasks)) throw new Error(`Task "${name}" depends on unknown task "${dep}"`);
+      visit(dep, [...path, name]);
+    }
+    state[name] = "done";
+  };
+  
+  Object.keys(tasks).forEach(name => visit(name, []));
+}
+
+async function runTaskGraph(tasks, options = {}) {
+  validateTaskGraph(tasks);
+  
+  const results = {};
+  const errors = [];  // { task, error, optional?, skipped?, fallback? }
+  const running = new Map();  // name → promise of "can dependents use my result?"
+  
+  const start = name => {
+    if (!running.has(name)) running.set(name, execute(name));
+    return running.get(name);
+  };
+  
+  const execute = async name => {
+    const task = tasks[name];
+    const deps = task.deps ?? [];
+    const ready = await Promise.all(deps.map(start));
+    
+    const failed = deps.find((dep, i) => !ready[i]);
+    if (failed) {
+      errors.push({ task: name, error: new Error(`Skipped: dependency "${failed}" failed`), skipped: true });
+      return false;
+    }
+    
+    try {
+      const input = Object.fromEntries(deps.map(dep => [dep, results[dep]]));
+      results[name] = await task.run(input, { signal: options.signal });
+      return true;
+      
+    } catch (error) {
+      errors.push({ task: name, error, optional: Boolean(task.optional) });
+      if (!task.optional) return false;
+      
+      try {
+        results[name] = typeof task.fallback === "function" ? await task.fallback(error) : task.fallback;
+        return true;
+      } catch (fallbackError) {
+        // A broken fallback fails the task like a required one
+        errors.push({ task: name, error: fallbackError, fallback: true });
+        return false;
       }
-    };
+    }
+  };
+  
+  await Promise.all(Object.keys(tasks).map(start));
+  return { results, errors };
+}
+
+async function getJSON(url, options) {
+  const response = await sendRequest(url, options);
+  if (!response.ok) throw await toHttpError(response);
+  return response.json();
+}
+
+async function loadDashboard(userId) {
+  const { results, errors } = await runTaskGraph({
+    // Nothing to show without the user - required
+    user: { run: () => getJSON(`/api/users/${userId}`) },
     
-  } catch (error) {
-    console.error("Failed to load dashboard:", error);
-    throw error;
+    posts: {
+      deps: ["user"],
+      run: ({ user }) => getJSON(`/api/posts?userId=${user.id}`)
+    },
+    // Widgets: render empty rather than fail the page
+    comments: {
+      deps: ["user"],
+      run: ({ user }) => getJSON(`/api/comments?userId=${user.id}`),
+      optional: true,
+      fallback: []
+    },
+    favorites: {
+      deps: ["user"],
+      run: ({ user }) => getJSON(`/api/favorites?userId=${user.id}`),
+      optional: true,
+      fallback: []
+    },
+    followers: {
+      deps: ["user"],
+      run: ({ user }) => getJSON(`/api/followers?userId=${user.id}`),
+      optional: true,
+      fallback: []
+    },
+    // Starts when posts arrive - doesn't wait for the widgets
+    popularPost: {
+      deps: ["posts"],
+      run: async ({ posts }) => {
+        const top = [...posts].sort((a, b) => b.likes - a.likes)[0];
+        return top ? getJSON(`/api/posts/${top.id}`) : null;
+      },
+      optional: true,
+      fallback: null
+    }
+  });
+  
+  if (errors.length > 0) {
+    console.warn("Dashboard loaded with errors:", errors.map(({ task, error }) => `${task}: ${error.message}`));
   }
+  
+  const { user, posts = [], comments, favorites, followers } = results;
+  if (!("user" in results)) {
+    throw errors.find(entry => entry.task === "user").error;
+  }
+  
+  return {
+    ...results,
+    errors,
+    stats: {
+      totalPosts: posts.length,
+      totalComments: comments.length,
+      totalFavorites: favorites.length,
+      totalFollowers: followers.length
+    }
+  };
 }
 
 /**
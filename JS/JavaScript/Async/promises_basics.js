@@ -399,17 +399,43 @@ Promise.race([promise1, promise2, promise3])
   });
 
 // Timeout pattern
-function timeout(ms) {
-  return new Promise((_, reject) => {
-    setTimeout(() => reject(new Error("Timeout")), ms);
+// A bare Promise.race([fetch(url), timeout(5000)]) leaks: the timer
+// keeps running after fetch wins, and when the timer wins the request
+// is never cancelled. Give the task a signal to abort instead, and
+// always clear the timer.
+// (sleep, deadlines shared by nested calls: async_await_patterns.js)
+function withTimeout(task, ms, { signal } = {}) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal) {
+    if (signal.aborted) onAbort();
+    else signal.addEventListener("abort", onAbort, { once: true });
+  }
+  
+  const timer = setTimeout(() => {
+    const error = new Error(`Timed out after ${ms}ms`);
+    error.name = "TimeoutError";
+    controller.abort(error);
+  }, ms);
+  
+  // Settles on abort even if the task ignores its signal
+  const aborted = new Promise((_, reject) => {
+    if (controller.signal.aborted) reject(controller.signal.reason);
+    controller.signal.addEventListener("abort", () => reject(controller.signal.reason), { once: true });
   });
+  
+  return Promise.race([Promise.resolve().then(() => task(controller.signal)), aborted])
+    .finally(() => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", onAbort);
+    });
 }
 
-Promise.race([
-  fetch("https://jsonplaceholder.typicode.com/users"),
-  timeout(5000)
-])
-  .then(response => response.json())
+withTimeout(
+  signal => fetch("https://jsonplaceholder.typicode.com/users", { signal }).then(response => response.json()),
+  5000
+)
+  .then(users => console.log("Users:", users.length))
   .catch(error => console.error("Request failed or timed out:", error));
 
 console.log("=== Promise.allSettled() (ES2020) ===");
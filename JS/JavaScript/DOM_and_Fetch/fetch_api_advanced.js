@@ -11,6 +11,8 @@
  * 5. Parallel requests
  * 6. File uploads
  * 7. Real-world patterns
+ * 8. Mock transport & request recording
+ * 9. Event streams (SSE & WebSocket)
  *
  * ============================================================
  */
@@ -74,6 +76,8 @@ async function authenticatedRequest(url) {
 
 console.log("=== Response Properties ===");
 
+// (one-off debugging - for metrics on every call see onTrace in the
+// API class, section 7)
 async function inspectResponse(url) {
   const response = await fetch(url);
 
@@ -100,40 +104,226 @@ async function inspectResponse(url) {
   // const arrayBuffer = await response.arrayBuffer(); // Binary data
 }
 
+// Automatic parsing - pick the reader from Content-Type
+function detectResponseType(response) {
+  const contentType = (response.headers.get("content-type") || "").toLowerCase();
+
+  if (contentType.includes("ndjson") || contentType.includes("jsonl")) return "ndjson";
+  if (contentType.includes("json") || !contentType) return "json";
+  if (contentType.startsWith("text/") || contentType.includes("xml")) return "text";  // incl. text/csv
+  return "blob";
+}
+
+// Streams a body line by line - memory stays flat for huge responses
+async function* readLines(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split("\n");
+      buffer = lines.pop();  // last piece may be incomplete
+
+      for (const line of lines) {
+        if (line.trim()) yield line.replace(/\r$/, "");
+      }
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim()) yield buffer;
+
+  } finally {
+    // Stops the download if the consumer breaks out early
+    await reader.cancel().catch(() => {});
+  }
+}
+
+// NDJSON: one JSON document per line
+async function* readNdjson(response) {
+  for await (const line of readLines(response)) {
+    let item;
+    try {
+      item = JSON.parse(line);
+    } catch (error) {
+      throw new ParseError("Invalid NDJSON line", { url: response.url, status: response.status, cause: error });
+    }
+    yield item;
+  }
+}
+
+// responseType: "json" | "text" | "blob" | "arrayBuffer" | "ndjson" | "lines" | "stream"
+async function parseResponse(response, options = {}) {
+  const type = options.responseType || detectResponseType(response);
+  const empty = response.status === 204
+    || response.status === 205
+    || response.headers.get("content-length") === "0"
+    || !response.body;
+
+  if (empty) return null;
+
+  switch (type) {
+    case "stream":
+      return response.body;
+    case "ndjson":
+      return readNdjson(response);
+    case "lines":
+      return readLines(response);
+    case "blob":
+      return await response.blob();
+    case "arrayBuffer":
+      return await response.arrayBuffer();
+  }
+
+  const text = await response.text();
+  if (!text) return null;
+  if (type === "text") return text;
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new ParseError("Invalid JSON response", {
+      url: response.url,
+      method: options.method,
+      status: response.status,
+      headers: Object.fromEntries(response.headers),
+      cause: error
+    });
+  }
+}
+
+// const csv = await parseResponse(await fetch("/export.csv"));  // string
+// for await (const event of await parseResponse(await fetch("/events.ndjson"))) {
+//   console.log(event);
+// }
+
 /* ============================================================
    3. Error Handling
    ============================================================ */
 
 console.log("=== Error Handling ===");
 
+// Typed errors - branch with instanceof instead of parsing messages
+//
+// FetchError
+// ├── HttpError     server answered with a non-2xx status
+// ├── NetworkError  no answer at all (offline, DNS, CORS)
+// │   └── CircuitOpenError  not even sent: the host's circuit is open
+// ├── TimeoutError  we gave up waiting
+// ├── AbortError    the caller cancelled
+// ├── ParseError    body didn't match the expected format
+// └── GraphQLError  HTTP 200, but the GraphQL "errors" array isn't empty
+class FetchError extends Error {
+  constructor(message, details = {}) {
+    super(message, { cause: details.cause });
+    this.name = this.constructor.name;
+    this.url = details.url;
+    this.method = details.method || "GET";
+  }
+}
+
+class HttpError extends FetchError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.status = details.status;
+    this.statusText = details.statusText;
+    this.headers = details.headers || {};
+    this.body = details.body ?? null;   // parsed error payload from the server
+  }
+}
+
+class NetworkError extends FetchError {}
+
+// Failing fast is the point - never retried
+class CircuitOpenError extends NetworkError {}
+
+class TimeoutError extends FetchError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.timeout = details.timeout;
+  }
+}
+
+class AbortError extends FetchError {}
+
+class ParseError extends FetchError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.status = details.status;
+    this.headers = details.headers || {};
+  }
+}
+
+// GraphQL reports failures inside a 200 response: { data, errors: [...] }
+// data may still hold the fields that did resolve
+class GraphQLError extends FetchError {
+  constructor(errors, details = {}) {
+    super(errors.map(error => error.message).join("; "), details);
+    this.errors = errors;                 // [{ message, path, locations, extensions }]
+    this.data = details.data ?? null;     // partial result
+    this.operationName = details.operationName || null;
+  }
+}
+
+// Read the error payload (JSON or text) and wrap it in an HttpError
+async function createHttpError(response, method = "GET", message, cause) {
+  let body = null;
+
+  try {
+    const text = await response.text();
+    const isJson = (response.headers.get("content-type") || "").includes("json");
+    body = text && isJson ? JSON.parse(text) : text || null;
+  } catch (error) {
+    // Unreadable error body - status alone will have to do
+  }
+
+  return new HttpError(message || `HTTP ${response.status}: ${response.statusText}`, {
+    url: response.url,
+    method,
+    status: response.status,
+    statusText: response.statusText,
+    headers: Object.fromEntries(response.headers),
+    body,
+    cause
+  });
+}
+
 // Comprehensive error handling
 async function fetchWithErrorHandling(url) {
   try {
-    const response = await fetch(url);
+    let response;
+
+    try {
+      response = await fetch(url);
+    } catch (error) {
+      throw new NetworkError("Network error or CORS issue", { url, cause: error });
+    }
 
     // Check HTTP status
     if (!response.ok) {
-      // Handle different status codes
-      switch(response.status) {
-        case 400:
-          throw new Error("Bad Request");
-        case 401:
-          throw new Error("Unauthorized - Please log in");
-        case 403:
-          throw new Error("Forbidden - Access denied");
-        case 404:
-          throw new Error("Resource not found");
-        case 500:
-          throw new Error("Internal server error");
-        default:
-          throw new Error(`HTTP error! status: ${response.status}`);
-      }
+      // Friendlier messages for common status codes
+      const messages = {
+        400: "Bad Request",
+        401: "Unauthorized - Please log in",
+        403: "Forbidden - Access denied",
+        404: "Resource not found",
+        500: "Internal server error"
+      };
+      throw await createHttpError(response, "GET", messages[response.status]);
     }
 
     // Check content type
     const contentType = response.headers.get("content-type");
     if (!contentType || !contentType.includes("application/json")) {
-      throw new Error("Response is not JSON");
+      throw new ParseError("Response is not JSON", {
+        url,
+        status: response.status,
+        headers: Object.fromEntries(response.headers)
+      });
     }
 
     const data = await response.json();
@@ -142,12 +332,11 @@ async function fetchWithErrorHandling(url) {
   } catch (error) {
     console.error("Fetch failed:", error.message);
 
-    // Network errors
-    if (error instanceof TypeError) {
-      return { success: false, error: "Network error or CORS issue" };
+    if (error instanceof HttpError && error.status === 401) {
+      // e.g. redirect to login
     }
 
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, cause: error };
   }
 }
 
@@ -164,14 +353,14 @@ async function fetchWithTimeout(url, timeout = 5000) {
     clearTimeout(timeoutId);
 
     if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+      throw await createHttpError(response);
     }
 
     return await response.json();
 
   } catch (error) {
     if (error.name === "AbortError") {
-      throw new Error("Request timed out");
+      throw new TimeoutError("Request timed out", { url, timeout, cause: error });
     }
     throw error;
   }
@@ -183,51 +372,136 @@ async function fetchWithTimeout(url, timeout = 5000) {
 
 console.log("=== Retry Logic ===");
 
-// Retry failed requests
-async function fetchWithRetry(url, maxRetries = 3, delay = 1000) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const response = await fetch(url);
+// "Retry-After: 120" or "Retry-After: Wed, 21 Oct 2026 07:28:00 GMT" → ms
+function retryAfterMs(headers) {
+  const value = headers.get("Retry-After");
+  if (!value) return null;
 
-      if (response.ok) {
-        return await response.json();
-      }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// One retry policy shared by fetchWithRetry, API and ApiClient
+//
+// - Only retries idempotent methods (no POST/PATCH by default)
+// - Only retries network errors, timeouts and retryable statuses
+//   (never 4xx like 400/401/404 - retrying won't fix them)
+// - Exponential backoff with "full jitter" so clients don't retry in sync
+// - Honours Retry-After (seconds or HTTP date) from 429/503 responses
+// - Gives up once the total elapsed time would exceed maxElapsed
+class RetryPolicy {
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts ?? 3;
+    this.methods = options.methods || ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+    this.statuses = options.statuses || [408, 429, 500, 502, 503, 504];
+    this.baseDelay = options.baseDelay ?? 500;
+    this.maxDelay = options.maxDelay ?? 10000;
+    this.maxElapsed = options.maxElapsed ?? 30000;
+    this.onAttempt = options.onAttempt || null;  // ({ attempt, status, error, delay, willRetry }) => void
+  }
+
+  // Random wait between 0 and baseDelay * 2^(attempt - 1), capped
+  backoff(attempt) {
+    const ceiling = Math.min(this.maxDelay, this.baseDelay * 2 ** (attempt - 1));
+    return Math.round(Math.random() * ceiling);
+  }
 
-      // Retry on server errors (5xx)
-      if (response.status >= 500 && attempt < maxRetries) {
-        console.log(`Attempt ${attempt} failed. Retrying...`);
-        await new Promise(resolve => setTimeout(resolve, delay * attempt));
-        continue;
+  retryAfter(response) {
+    return retryAfterMs(response.headers);
+  }
+
+  isRetryable(method, response, error) {
+    if (!this.methods.includes(method)) return false;
+    if (response) return this.statuses.includes(response.status);
+
+    // The caller cancelled on purpose, or the circuit says "not now"
+    return error.name !== "AbortError" && !(error instanceof CircuitOpenError);
+  }
+
+  // send(attempt) → Promise<Response>
+  // Resolves with the final response (which may still be !ok),
+  // rejects with the final network error
+  async run(send, method = "GET") {
+    const startedAt = Date.now();
+    method = method.toUpperCase();
+
+    for (let attempt = 1; ; attempt++) {
+      let response = null;
+      let error = null;
+
+      try {
+        response = await send(attempt);
+      } catch (err) {
+        error = err;
       }
 
-      throw new Error(`HTTP ${response.status}`);
+      const failed = error || this.statuses.includes(response.status);
+      const delay = response ? (this.retryAfter(response) ?? this.backoff(attempt)) : this.backoff(attempt);
+      const willRetry = Boolean(failed)
+        && attempt < this.maxAttempts
+        && this.isRetryable(method, response, error)
+        && Date.now() - startedAt + delay <= this.maxElapsed;
+
+      if (this.onAttempt) {
+        this.onAttempt({
+          attempt,
+          method,
+          status: response ? response.status : null,
+          error,
+          delay: willRetry ? delay : 0,
+          willRetry
+        });
+      }
 
-    } catch (error) {
-      if (attempt === maxRetries) {
-        throw error;
+      if (!willRetry) {
+        if (error) throw error;
+        return response;
       }
-      console.log(`Attempt ${attempt} failed:`, error.message);
+
       await new Promise(resolve => setTimeout(resolve, delay));
     }
   }
 }
 
-// Exponential backoff
-async function fetchWithExponentialBackoff(url, maxRetries = 3) {
-  for (let i = 0; i < maxRetries; i++) {
-    try {
-      const response = await fetch(url);
-      if (response.ok) {
-        return await response.json();
+// Retry failed requests
+async function fetchWithRetry(url, maxRetries = 3, delay = 1000) {
+  const policy = new RetryPolicy({
+    maxAttempts: maxRetries,
+    baseDelay: delay,
+    onAttempt: ({ attempt, status, error, willRetry }) => {
+      if (willRetry) {
+        console.log(`Attempt ${attempt} failed (${status || error.message}). Retrying...`);
       }
-    } catch (error) {
-      if (i === maxRetries - 1) throw error;
     }
+  });
+
+  const response = await policy.run(() => fetch(url));
+
+  if (!response.ok) {
+    throw await createHttpError(response);
+  }
+
+  return await response.json();
+}
+
+// Exponential backoff: 1s, 2s, 4s, ... (randomized, capped at 8s)
+async function fetchWithExponentialBackoff(url, maxRetries = 3) {
+  const policy = new RetryPolicy({
+    maxAttempts: maxRetries,
+    baseDelay: 1000,
+    maxDelay: 8000
+  });
+
+  const response = await policy.run(() => fetch(url));
 
-    // Wait: 1s, 2s, 4s, 8s, ...
-    const waitTime = Math.pow(2, i) * 1000;
-    await new Promise(resolve => setTimeout(resolve, waitTime));
+  if (!response.ok) {
+    throw await createHttpError(response);
   }
+
+  return await response.json();
 }
 
 /* ============================================================
@@ -251,30 +525,126 @@ async function fetchMultiple() {
   }
 }
 
-// Fetch with fallback
-async function fetchWithFallback(primaryUrl, fallbackUrl) {
-  try {
-    const response = await fetch(primaryUrl);
-    if (response.ok) {
-      return await response.json();
+// Cancellation scope - one signal owned by many requests.
+// Aborting the group cancels everything started through it; a child
+// group is cancelled with its parent but can also be aborted alone
+// (e.g. page scope -> widget scope -> single search).
+function anySignal(signals) {
+  signals = signals.filter(Boolean);
+  if (AbortSignal.any) return AbortSignal.any(signals);
+
+  const controller = new AbortController();
+  for (const signal of signals) {
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+      break;
     }
-  } catch (error) {
-    console.log("Primary failed, trying fallback");
+    signal.addEventListener("abort", () => controller.abort(signal.reason), { once: true });
   }
+  return controller.signal;
+}
 
-  // Try fallback
-  const response = await fetch(fallbackUrl);
-  return await response.json();
+class AbortGroup {
+  constructor(parentSignal) {
+    this.controller = new AbortController();
+    this.pending = new Set();
+    if (parentSignal) {
+      if (parentSignal.aborted) this.abort(parentSignal.reason);
+      else parentSignal.addEventListener("abort", () => this.abort(parentSignal.reason), { once: true });
+    }
+  }
+
+  get signal() {
+    return this.controller.signal;
+  }
+
+  get aborted() {
+    return this.controller.signal.aborted;
+  }
+
+  child() {
+    return new AbortGroup(this.signal);
+  }
+
+  // Run any signal-aware task in the group: task(signal) => promise
+  run(task, signal) {
+    const promise = new Promise(resolve => resolve(task(anySignal([this.signal, signal]))));
+    this.pending.add(promise);
+    const done = () => this.pending.delete(promise);
+    promise.then(done, done);
+    return promise;
+  }
+
+  fetch(url, init = {}) {
+    return this.run(signal => fetch(url, { ...init, signal }), init.signal);
+  }
+
+  abort(reason = new DOMException("Request group aborted", "AbortError")) {
+    this.controller.abort(reason);
+  }
+}
+
+// Usage:
+// const page = new AbortGroup();
+// page.fetch("/api/users");
+// const search = page.child();
+// search.run(signal => api.get("/search?q=a", { signal }));
+// search.abort();  // cancels only the search
+// page.abort();    // cancels everything left (e.g. on navigation)
+
+// Fetch with fallback - hedged: if the primary hasn't answered within
+// hedgeAfter ms (or fails), start the fallback too; the first success
+// wins and the slower request is aborted.
+// (the API class below can switch to a fallback automatically while
+// the primary's circuit breaker is open - see fallbackUrl)
+async function fetchWithFallback(primaryUrl, fallbackUrl, hedgeAfter = 2000) {
+  const group = new AbortGroup();
+  const load = async url => {
+    const response = await group.fetch(url);
+    if (!response.ok) throw await createHttpError(response);
+    return response.json();
+  };
+
+  const primary = load(primaryUrl);
+  const fallback = new Promise((resolve, reject) => {
+    let started = false;
+    const start = () => {
+      if (started || group.aborted) return;
+      started = true;
+      clearTimeout(timer);
+      load(fallbackUrl).then(resolve, reject);
+    };
+    const timer = setTimeout(start, hedgeAfter);
+    group.signal.addEventListener("abort", () => clearTimeout(timer), { once: true });
+    primary.catch(() => {
+      console.log("Primary failed, trying fallback");
+      start();
+    });
+  });
+
+  try {
+    return await Promise.any([primary, fallback]);
+  } catch (error) {
+    throw error.errors[error.errors.length - 1];
+  } finally {
+    group.abort();
+  }
 }
 
-// Race condition - use first response
+// Race - use the first successful response, abort the rest
 async function fetchFastest(urls) {
-  const requests = urls.map(url => fetch(url).then(r => r.json()));
+  const group = new AbortGroup();
+  const requests = urls.map(url => group.fetch(url).then(async response => {
+    if (!response.ok) throw await createHttpError(response);
+    return response.json();
+  }));
 
   try {
-    return await Promise.race(requests);
+    return await Promise.any(requests);
   } catch (error) {
     console.error("All requests failed:", error);
+  } finally {
+    group.abort();
   }
 }
 
@@ -298,7 +668,7 @@ async function uploadFile(file) {
     });
 
     if (!response.ok) {
-      throw new Error("Upload failed");
+      throw await createHttpError(response, "POST", "Upload failed");
     }
 
     return await response.json();
@@ -324,103 +694,1276 @@ async function uploadMultipleFiles(files) {
   return await response.json();
 }
 
+// Chunked, resumable upload
+// Server side: see "Chunked uploads" in NodeJS/Express/express_basics.js
+//
+// 1. GET  /uploads/:id                → chunks the server already has
+// 2. PUT  /uploads/:id/chunks/:index  → one slice of the file (retried)
+// 3. POST /uploads/:id/complete       → server stitches the chunks
+//
+// Calling it again with the same file resumes where it stopped.
+function isOffline() {
+  return typeof navigator !== "undefined" && navigator.onLine === false;
+}
+
+function waitForOnline() {
+  return new Promise(resolve => window.addEventListener("online", resolve, { once: true }));
+}
+
+async function uploadFileChunked(file, options = {}) {
+  const {
+    baseUrl = "http://localhost:3000/api/uploads",
+    chunkSize = 1024 * 1024,                       // 1 MB
+    uploadId = `${file.name}-${file.size}-${file.lastModified}`.replace(/[^\w-]/g, "_").slice(0, 100),
+    retry = new RetryPolicy({ maxAttempts: 5, baseDelay: 1000 }),
+    onProgress = () => {},
+    signal
+  } = options;
+
+  const totalChunks = Math.max(1, Math.ceil(file.size / chunkSize));
+  const chunkAt = index => file.slice(index * chunkSize, (index + 1) * chunkSize);
+
+  // Resume: skip chunks that made it before the connection dropped
+  const statusResponse = await fetch(`${baseUrl}/${uploadId}`, { signal });
+  const { received = [] } = statusResponse.ok ? await statusResponse.json() : {};
+  const done = new Set(received);
+
+  let loaded = received.reduce((sum, index) => sum + chunkAt(index).size, 0);
+  const report = chunk => onProgress({
+    file,
+    uploadId,
+    chunk,
+    totalChunks,
+    loaded,
+    total: file.size,
+    percent: file.size ? Math.round((loaded / file.size) * 100) : 100
+  });
+
+  report(null);
+
+  for (let index = 0; index < totalChunks; index++) {
+    if (done.has(index)) continue;
+
+    const chunk = chunkAt(index);
+    let response;
+
+    while (!response) {
+      try {
+        response = await retry.run(() => fetch(`${baseUrl}/${uploadId}/chunks/${index}`, {
+          method: "PUT",
+          headers: { "Content-Type": "application/octet-stream" },
+          body: chunk,
+          signal
+        }), "PUT");
+      } catch (error) {
+        // Offline: wait for the connection to come back, then carry on
+        if (error.name === "AbortError" || !isOffline()) throw error;
+        await waitForOnline();
+      }
+    }
+
+    if (!response.ok) {
+      throw await createHttpError(response, "PUT", `Chunk ${index} failed`);
+    }
+
+    loaded += chunk.size;
+    report(index);
+  }
+
+  const response = await fetch(`${baseUrl}/${uploadId}/complete`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ filename: file.name, totalChunks }),
+    signal
+  });
+
+  if (!response.ok) {
+    throw await createHttpError(response, "POST", "Upload could not be completed");
+  }
+
+  return await response.json();
+}
+
+// Many files, at most `concurrency` uploading at once.
+// One failed file doesn't stop the others.
+async function uploadFilesChunked(files, options = {}) {
+  const { concurrency = 3, ...uploadOptions } = options;
+  const queue = Array.from(files, (file, index) => ({ file, index }));
+  const results = new Array(queue.length);
+
+  async function worker() {
+    while (queue.length) {
+      const { file, index } = queue.shift();
+      try {
+        results[index] = { file: file.name, ok: true, result: await uploadFileChunked(file, uploadOptions) };
+      } catch (error) {
+        results[index] = { file: file.name, ok: false, error };
+      }
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(concurrency, queue.length) }, worker);
+  await Promise.all(workers);
+
+  return results;
+}
+
+// const input = document.querySelector("input[type=file]");
+// uploadFilesChunked(input.files, {
+//   concurrency: 2,
+//   onProgress: ({ file, percent }) => console.log(`${file.name}: ${percent}%`)
+// });
+
+// Incremental SHA-256. crypto.subtle.digest() only takes one complete
+// buffer - for a download that means the whole file in memory again.
+// update(bytes) as chunks arrive, hex() at the end.
+function createSha256() {
+  // Standard constants: fractional bits of the square/cube roots of the first primes
+  const primes = [];
+  for (let n = 2; primes.length < 64; n++) {
+    if (primes.every(p => n % p)) primes.push(n);
+  }
+  const fraction = x => ((x - Math.floor(x)) * 0x100000000) >>> 0;
+  const K = primes.map(p => fraction(Math.cbrt(p)));
+  const H = new Uint32Array(primes.slice(0, 8).map(p => fraction(Math.sqrt(p))));
+
+  const W = new Uint32Array(64);
+  const block = new Uint8Array(64);
+  let blockLength = 0;
+  let length = 0;
+
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+  function compress(bytes, offset) {
+    for (let i = 0; i < 16; i++) {
+      const j = offset + i * 4;
+      W[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(W[i - 15], 7) ^ rotr(W[i - 15], 18) ^ (W[i - 15] >>> 3);
+      const s1 = rotr(W[i - 2], 17) ^ rotr(W[i - 2], 19) ^ (W[i - 2] >>> 10);
+      W[i] = W[i - 16] + s0 + W[i - 7] + s1;
+    }
+
+    let [a, b, c, d, e, f, g, h] = H;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + W[i]) | 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      [h, g, f, e, d, c, b, a] = [g, f, e, (d + t1) | 0, c, b, a, (t1 + t2) | 0];
+    }
+    [a, b, c, d, e, f, g, h].forEach((value, i) => { H[i] += value; });
+  }
+
+  function update(bytes) {
+    length += bytes.length;
+    let i = 0;
+
+    // Top up a partial block from the previous chunk first
+    if (blockLength > 0) {
+      const take = Math.min(64 - blockLength, bytes.length);
+      block.set(bytes.subarray(0, take), blockLength);
+      blockLength += take;
+      i = take;
+      if (blockLength < 64) return;
+      compress(block, 0);
+      blockLength = 0;
+    }
+
+    for (; i + 64 <= bytes.length; i += 64) compress(bytes, i);
+
+    block.set(bytes.subarray(i), 0);
+    blockLength = bytes.length - i;
+  }
+
+  function hex() {
+    // Padding: 0x80, zeros, then the length in bits as 64-bit big-endian
+    const bits = length * 8;
+    const padding = new Uint8Array((blockLength < 56 ? 64 : 128) - blockLength);
+    padding[0] = 0x80;
+    const view = new DataView(padding.buffer);
+    view.setUint32(padding.length - 8, Math.floor(bits / 0x100000000));
+    view.setUint32(padding.length - 4, bits >>> 0);
+    update(padding);
+
+    return Array.from(H, word => word.toString(16).padStart(8, "0")).join("");
+  }
+
+  return { update, hex };
+}
+
+// Where the downloaded bytes go.
+// - File System Access API (Chromium): straight to the file the user
+//   picked. Writes land in a temp file that only replaces the target
+//   on close(), so a failed checksum leaves nothing behind.
+// - Elsewhere: chunks in memory → one Blob → download link.
+//   (To stream to disk there too, pipe through a service worker that
+//   answers a navigation with the stream - e.g. StreamSaver.js.)
+async function openDownloadSink(filename) {
+  if (typeof window !== "undefined" && window.showSaveFilePicker) {
+    // Must run inside the click handler (needs user activation)
+    const handle = await window.showSaveFilePicker({ suggestedName: filename });
+    const writable = await handle.createWritable();
+
+    return {
+      write: chunk => writable.write(chunk),
+      reset: () => writable.truncate(0),  // also moves the write position to 0
+      abort: () => writable.abort(),
+      finish: async () => {
+        await writable.close();
+        return handle.getFile();  // disk-backed, not read into memory
+      }
+    };
+  }
+
+  let chunks = [];
+
+  return {
+    write: chunk => { chunks.push(chunk); },
+    reset: () => { chunks = []; },
+    abort: () => { chunks = []; },
+    finish: async type => {
+      // Blob parts: no extra full-size copy
+      const blob = new Blob(chunks, { type });
+      chunks = [];
+
+      const downloadUrl = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = downloadUrl;
+      a.download = filename;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(downloadUrl);
+
+      return blob;
+    }
+  };
+}
+
 // Download file
-async function downloadFile(url, filename) {
+// - Reads response.body chunk by chunk (progress from Content-Length)
+// - Writes each chunk to disk as it arrives where the browser allows it
+//   (options.sink: your own { write, reset, abort, finish })
+// - If the connection drops, resumes with a Range request
+// - Optional SHA-256 check (hashed while downloading) before the file
+//   is handed to the user
+// (Node version that streams to disk: downloadToFile() in
+//  NodeJS/Modules/filesystem_module.js)
+async function downloadFile(url, filename, options = {}) {
+  const { onProgress = () => {}, sha256, maxResumes = 3, signal } = options;
+
+  const sink = options.sink || await openDownloadSink(filename);
+  let hash = sha256 ? createSha256() : null;
+  let loaded = 0;
+  let total = null;
+  let type = "";
+  let etag = null;
+  let resumes = 0;
+
   try {
-    const response = await fetch(url);
-    const blob = await response.blob();
-
-    // Create download link
-    const downloadUrl = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = downloadUrl;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(downloadUrl);
+    while (true) {
+      const headers = {};
+      if (loaded > 0) {
+        headers.Range = `bytes=${loaded}-`;
+        if (etag) headers["If-Range"] = etag;  // only resume the SAME file
+      }
+
+      try {
+        const response = await fetch(url, { headers, signal });
+
+        if (!response.ok) {
+          throw await createHttpError(response);
+        }
+
+        // 200 instead of 206: the server sent the whole file again
+        if (response.status !== 206 && loaded > 0) {
+          await sink.reset();
+          hash = sha256 ? createSha256() : null;
+          loaded = 0;
+        }
+
+        // "Content-Range: bytes 500-999/1000" → 1000
+        const range = response.headers.get("content-range");
+        const length = Number(response.headers.get("content-length"));
+        total = range ? Number(range.split("/")[1]) : (loaded + length) || null;
+        type = response.headers.get("content-type") || type;
+        etag = response.headers.get("etag") || etag;
+
+        const reader = response.body.getReader();
+        while (true) {
+          const { value, done } = await reader.read();
+          if (done) break;
+
+          await sink.write(value);
+          if (hash) hash.update(value);
+          loaded += value.length;
+          onProgress({ loaded, total, percent: total ? Math.round((loaded / total) * 100) : null });
+        }
+
+        break;
+
+      } catch (error) {
+        const dropped = !(error instanceof HttpError) && error.name !== "AbortError";
+        if (!dropped || resumes >= maxResumes) throw error;
+        resumes++;
+        console.log(`Connection lost at ${loaded} bytes, resuming...`);
+      }
+    }
+
+    if (hash) {
+      const actual = hash.hex();
+
+      if (actual !== sha256.toLowerCase()) {
+        throw new FetchError(`Checksum mismatch: expected ${sha256}, got ${actual}`, { url });
+      }
+    }
+
+    return await sink.finish(type);
 
   } catch (error) {
+    await Promise.resolve(sink.abort()).catch(() => {});
     console.error("Download failed:", error);
+    throw error;
   }
 }
 
+// downloadFile("/exports/report.csv", "report.csv", {
+//   sha256: "9f86d081884c7d65...",
+//   onProgress: ({ percent }) => progressBar.value = percent
+// });
+
 /* ============================================================
    7. Real-World Patterns
    ============================================================ */
 
-// Pattern 1: Complete API wrapper
-class API {
-  constructor(baseUrl, options = {}) {
-    this.baseUrl = baseUrl;
-    this.defaultHeaders = options.headers || {};
-    this.timeout = options.timeout || 10000;
+// Interceptor registry - handlers run in the order they were added
+class InterceptorManager {
+  constructor() {
+    this.handlers = [];
   }
 
-  async request(endpoint, options = {}) {
-    const url = `${this.baseUrl}${endpoint}`;
+  // Returns a function that removes the handler again
+  use(handler) {
+    this.handlers.push(handler);
+    return () => this.eject(handler);
+  }
 
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+  eject(handler) {
+    this.handlers = this.handlers.filter(h => h !== handler);
+  }
 
-    try {
-      const response = await fetch(url, {
-        ...options,
-        signal: controller.signal,
-        headers: {
-          ...this.defaultHeaders,
-          ...options.headers
-        }
-      });
+  // Each handler receives the previous handler's result
+  async run(value, ...args) {
+    for (const handler of this.handlers) {
+      value = await handler(value, ...args);
+    }
+    return value;
+  }
+}
 
-      clearTimeout(timeoutId);
+// Circuit breaker - stop hammering a host that keeps failing
+//
+// CLOSED    → requests flow; failures are counted in a time window
+// OPEN      → too many failures: fail fast without touching the network
+// HALF_OPEN → after resetTimeout, let one probe through:
+//             success closes the circuit, failure opens it again
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold ?? 5;
+    this.windowMs = options.windowMs ?? 60000;
+    this.resetTimeout = options.resetTimeout ?? 30000;
+
+    this.state = "CLOSED";
+    this.failures = [];       // timestamps inside the window
+    this.openedAt = 0;
+    this.probing = false;
+  }
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+  canRequest() {
+    if (this.state === "CLOSED") return true;
 
-      return await response.json();
+    if (this.state === "OPEN" && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.state = "HALF_OPEN";
+    }
 
-    } catch (error) {
-      if (error.name === "AbortError") {
-        throw new Error("Request timeout");
-      }
-      throw error;
+    // Only one probe at a time while half-open
+    if (this.state === "HALF_OPEN" && !this.probing) {
+      this.probing = true;
+      return true;
     }
+
+    return false;
   }
 
-  async get(endpoint, options) {
-    return this.request(endpoint, { ...options, method: "GET" });
+  recordSuccess() {
+    // A good probe closes the circuit. While CLOSED, successes don't
+    // reset the count - failures just age out of the window.
+    if (this.state === "HALF_OPEN") {
+      this.state = "CLOSED";
+      this.failures = [];
+    }
+    this.probing = false;
   }
 
-  async post(endpoint, data, options) {
-    return this.request(endpoint, {
-      ...options,
-      method: "POST",
-      body: JSON.stringify(data)
-    });
+  recordFailure() {
+    const now = Date.now();
+    this.probing = false;
+
+    if (this.state === "HALF_OPEN") {
+      this.open(now);
+      return;
+    }
+
+    this.failures = this.failures.filter(time => now - time < this.windowMs);
+    this.failures.push(now);
+
+    if (this.failures.length >= this.failureThreshold) {
+      this.open(now);
+    }
   }
 
-  async put(endpoint, data, options) {
-    return this.request(endpoint, {
-      ...options,
-      method: "PUT",
-      body: JSON.stringify(data)
-    });
+  // The request was cancelled by the caller - it proves nothing
+  release() {
+    this.probing = false;
   }
 
-  async delete(endpoint, options) {
-    return this.request(endpoint, { ...options, method: "DELETE" });
+  open(now) {
+    this.state = "OPEN";
+    this.openedAt = now;
+    this.failures = [];
   }
 }
 
-// Usage
-const api = new API("https://api.example.com", {
-  headers: { "Authorization": "Bearer token" },
+// Rate limiter - token bucket per host + priority queue
+//
+// - Each host gets `rate` tokens per second, up to `burst` saved up
+// - Callers wait in priority order (higher first, FIFO within a level),
+//   so a user click can overtake a bulk job stuck behind the limit
+// - A 429 (Retry-After) or "X-RateLimit-Remaining: 0" pauses the host
+//   until the server says it's safe, instead of burning through retries
+class RateLimiter {
+  constructor(options = {}) {
+    this.rate = options.rate ?? 10;
+    this.burst = options.burst ?? this.rate;
+    this.maxQueue = options.maxQueue ?? Infinity;
+    this.buckets = new Map();
+  }
+
+  static hostOf(url) {
+    try {
+      return new URL(url).host;
+    } catch {
+      return "";  // relative URL: everything shares one bucket
+    }
+  }
+
+  bucketFor(url) {
+    const host = RateLimiter.hostOf(url);
+    if (!this.buckets.has(host)) {
+      this.buckets.set(host, {
+        host,
+        tokens: this.burst,
+        updatedAt: Date.now(),
+        pausedUntil: 0,
+        queue: [],
+        timer: null,
+        seq: 0
+      });
+    }
+    return this.buckets.get(host);
+  }
+
+  // Resolves when a request to url may go out
+  acquire(url, { priority = 0, signal } = {}) {
+    const bucket = this.bucketFor(url);
+
+    if (bucket.queue.length >= this.maxQueue) {
+      return Promise.reject(new FetchError(`Rate limit queue full for ${bucket.host}`, { url }));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { priority, seq: bucket.seq++, resolve, reject, signal, onAbort: null };
+
+      if (signal) {
+        if (signal.aborted) {
+          reject(new AbortError("Request aborted", { url }));
+          return;
+        }
+        waiter.onAbort = () => {
+          bucket.queue.splice(bucket.queue.indexOf(waiter), 1);
+          reject(new AbortError("Request aborted", { url }));
+        };
+        signal.addEventListener("abort", waiter.onAbort, { once: true });
+      }
+
+      // Keep the queue sorted: priority desc, then arrival order
+      const index = bucket.queue.findIndex(other =>
+        other.priority < priority || (other.priority === priority && other.seq > waiter.seq));
+      bucket.queue.splice(index === -1 ? bucket.queue.length : index, 0, waiter);
+
+      this.drain(bucket);
+    });
+  }
+
+  refill(bucket) {
+    const now = Date.now();
+    bucket.tokens = Math.min(this.burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * this.rate);
+    bucket.updatedAt = now;
+  }
+
+  drain(bucket) {
+    clearTimeout(bucket.timer);
+    bucket.timer = null;
+
+    while (bucket.queue.length) {
+      const pause = bucket.pausedUntil - Date.now();
+      if (pause > 0) {
+        bucket.timer = setTimeout(() => this.drain(bucket), pause);
+        return;
+      }
+
+      this.refill(bucket);
+      if (bucket.tokens < 1) {
+        const wait = Math.ceil((1 - bucket.tokens) / this.rate * 1000);
+        bucket.timer = setTimeout(() => this.drain(bucket), wait);
+        return;
+      }
+
+      bucket.tokens -= 1;
+      const waiter = bucket.queue.shift();
+      if (waiter.signal) {
+        waiter.signal.removeEventListener("abort", waiter.onAbort);
+      }
+      waiter.resolve();
+    }
+  }
+
+  // Stop sending to this host for ms
+  pause(url, ms) {
+    const bucket = this.bucketFor(url);
+    bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + ms);
+    bucket.tokens = 0;
+    this.drain(bucket);
+  }
+
+  // Learn from the server's own accounting
+  update(url, response) {
+    const headers = response.headers;
+
+    if (response.status === 429) {
+      this.pause(url, retryAfterMs(headers) ?? 1000);
+      return;
+    }
+
+    const remaining = headers.get("X-RateLimit-Remaining");
+    if (remaining === null || Number.isNaN(Number(remaining))) return;
+
+    const bucket = this.bucketFor(url);
+    bucket.tokens = Math.min(bucket.tokens, Number(remaining));
+
+    // Reset is either epoch seconds (GitHub style) or seconds from now
+    const reset = Number(headers.get("X-RateLimit-Reset"));
+    if (Number(remaining) === 0 && reset > 0) {
+      const resetAt = reset > 1e9 ? reset * 1000 : Date.now() + reset * 1000;
+      this.pause(url, Math.max(0, resetAt - Date.now()));
+    }
+  }
+}
+
+// Tracing helpers
+// W3C Trace Context: traceparent = "00-<trace-id>-<parent-id>-<flags>".
+// Servers that read it can tie their logs to the client call; pass an
+// incoming traceparent as `parent` to continue that trace.
+function randomHex(bytes) {
+  return Array.from(crypto.getRandomValues(new Uint8Array(bytes)), b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function createTraceContext(parent) {
+  const match = /^00-([0-9a-f]{32})-[0-9a-f]{16}-([0-9a-f]{2})$/.exec(parent || "");
+  const traceId = match ? match[1] : randomHex(16);
+  const spanId = randomHex(8);
+  return { traceId, spanId, traceparent: `00-${traceId}-${spanId}-${match ? match[2] : "01"}` };
+}
+
+// "/users/42/posts?page=2" → "/users/:id/posts" - groups metrics by route,
+// not by every id (pass { template } per call to name it yourself)
+function urlTemplate(url) {
+  return url
+    .replace(/^https?:\/\/[^/]+/i, "")
+    .split("?")[0]
+    .split("/")
+    .map(segment => /^\d+$|^[0-9a-f]{8}-[0-9a-f-]{27}$|^[0-9a-f]{24}$/i.test(segment) ? ":id" : segment)
+    .join("/");
+}
+
+// GraphQL helpers
+// "query GetUser($id: ID!) { ... }" → "GetUser"
+function operationNameOf(document) {
+  const match = document.match(/\b(?:query|mutation|subscription)\s+(\w+)/);
+  return match ? match[1] : undefined;
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Automatic persisted queries: the server doesn't know this hash yet
+function isPersistedQueryMiss(result) {
+  return Boolean(result && result.errors && result.errors.some(error =>
+    error.message === "PersistedQueryNotFound" ||
+    (error.extensions && error.extensions.code === "PERSISTED_QUERY_NOT_FOUND")));
+}
+
+// Pattern 1: Complete API wrapper
+class API {
+  constructor(baseUrl, options = {}) {
+    this.baseUrl = baseUrl;
+    this.defaultHeaders = options.headers || {};
+    this.timeout = options.timeout || 10000;
+
+    // Anything shaped like fetch: (url, init) => Promise<Response>
+    // e.g. new MockRouter().transport in tests (see section 8)
+    this.transport = options.transport || ((url, init) => fetch(url, init));
+
+    // async () => newToken, called once when a request gets a 401
+    this.refreshToken = options.refreshToken || null;
+    this.refreshing = null;
+
+    // RetryPolicy instance (see section 4), or null for a single attempt
+    this.retry = options.retry || null;
+
+    // One CircuitBreaker per base URL (primary + fallback)
+    this.fallbackUrl = options.fallbackUrl || null;
+    this.circuitOptions = options.circuitBreaker || null;
+    this.breakers = new Map();
+
+    // RateLimiter instance or { rate, burst } (requests/sec per host)
+    this.limiter = options.rateLimit instanceof RateLimiter
+      ? options.rateLimit
+      : options.rateLimit ? new RateLimiter(options.rateLimit) : null;
+
+    // GraphQL: { endpoint, persisted, batch: true | { wait, maxSize } }
+    const graphql = options.graphql || {};
+    this.graphql = {
+      endpoint: graphql.endpoint || "/graphql",
+      persisted: Boolean(graphql.persisted),
+      batch: graphql.batch ? { wait: 10, maxSize: 10, ...graphql.batch } : null
+    };
+    this.graphqlQueue = [];
+    this.graphqlTimer = null;
+    this.queryHashes = new Map();
+
+    // (event) => void - one structured event per call (see trace())
+    this.onTrace = options.onTrace || null;
+    // Send the traceparent header? It isn't CORS-safelisted, so
+    // cross-origin calls then need a preflight the server has to allow.
+    // Default: only when tracing.
+    this.propagate = options.propagate ?? Boolean(this.onTrace);
+
+    // GETs currently on the wire, keyed by URL
+    this.inflight = new Map();
+
+    // request:  (config) => config
+    // response: (response, config) => response
+    // error:    (error, config) => error
+    this.interceptors = {
+      request: new InterceptorManager(),
+      response: new InterceptorManager(),
+      error: new InterceptorManager()
+    };
+  }
+
+  async request(endpoint, options = {}) {
+    const method = (options.method || "GET").toUpperCase();
+
+    // Streams can only be read once, so they are never shared
+    const streaming = ["ndjson", "lines", "stream"].includes(options.responseType);
+
+    if (method !== "GET" || options.dedupe === false || streaming) {
+      return this.execute(endpoint, options);
+    }
+
+    // Identical GET already in flight: share it instead of fetching again
+    const key = this.dedupeKey(endpoint, options);
+    let entry = this.inflight.get(key);
+
+    if (!entry) {
+      const controller = new AbortController();
+      entry = { key, url: this.resolveUrl(endpoint), controller, waiting: 0 };
+      entry.promise = this.execute(endpoint, { ...options, signal: controller.signal })
+        .finally(() => {
+          if (this.inflight.get(key) === entry) {
+            this.inflight.delete(key);
+          }
+        });
+      this.inflight.set(key, entry);
+    }
+
+    return this.join(entry, options.signal);
+  }
+
+  // Same URL is not enough: callers asking for a different shape
+  // (text, withResponse) or as a different user get their own request
+  dedupeKey(endpoint, options) {
+    const headers = new Headers(options.headers);
+    return JSON.stringify([
+      this.resolveUrl(endpoint),
+      options.responseType || "auto",
+      Boolean(options.withResponse),
+      headers.get("accept"),
+      headers.get("authorization")
+    ]);
+  }
+
+  // A caller's signal only cancels that caller; the shared request
+  // is aborted once every caller with a signal has given up
+  join(entry, signal) {
+    entry.waiting++;
+
+    if (!signal) {
+      return entry.promise;
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        entry.waiting--;
+        if (entry.waiting === 0) {
+          this.inflight.delete(entry.key);
+          entry.controller.abort();
+        }
+        reject(new AbortError("Request aborted", { url: entry.url }));
+      };
+
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+
+      signal.addEventListener("abort", onAbort, { once: true });
+      entry.promise
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener("abort", onAbort));
+    });
+  }
+
+  async execute(endpoint, options = {}) {
+    // options.traceparent: continue an existing trace (e.g. the one a
+    // server request arrived with) instead of starting a new one
+    const span = createTraceContext(options.traceparent);
+    const startedAt = Date.now();
+    let response = null;
+
+    const propagate = this.propagate || Boolean(options.traceparent);
+
+    let config = {
+      ...options,
+      url: this.resolveUrl(endpoint),
+      headers: {
+        ...(propagate && { traceparent: span.traceparent }),
+        ...this.defaultHeaders,
+        ...options.headers
+      }
+    };
+
+    try {
+      // Queue behind a token refresh that is already in flight
+      if (this.refreshing) {
+        await this.refreshing;
+        config.headers.Authorization = getAuthHeaders().Authorization;
+      }
+
+      config = await this.interceptors.request.run(config);
+
+      // The stored token this request goes out with
+      const sentToken = localStorage.getItem("authToken");
+      response = await this.sendWithRetry(config);
+
+      // 401: refresh once, then replay with the new token.
+      // If the stored token changed since this request was sent,
+      // another request already refreshed it - just replay.
+      if (response.status === 401 && this.refreshToken && !config.isRetry) {
+        if (localStorage.getItem("authToken") === sentToken) {
+          try {
+            await this.refreshAuth();
+          } catch (error) {
+            // Reject with the 401 itself; the refresh failure is its cause
+            throw await createHttpError(response, config.method, error.message, error);
+          }
+        }
+        config.headers.Authorization = getAuthHeaders().Authorization;
+        config.isRetry = true;
+        response = await this.sendWithRetry(config);
+      }
+
+      if (!response.ok) {
+        throw await createHttpError(response, config.method);
+      }
+
+      const data = await parseResponse(response, config);
+      this.trace(config, span, startedAt, response);
+
+      // withResponse: also hand back status + headers (e.g. Link, X-Total-Count)
+      return config.withResponse
+        ? { data, status: response.status, headers: response.headers }
+        : data;
+
+    } catch (error) {
+      this.trace(config, span, startedAt, response, error);
+      // Error interceptors may replace the error with a normalized one
+      throw await this.interceptors.error.run(error, config);
+    }
+  }
+
+  sendWithRetry(config) {
+    config.attempts = 1;
+    if (!this.retry) {
+      return this.send(config);
+    }
+    return this.retry.run(attempt => {
+      config.attempts = attempt;
+      return this.send(config);
+    }, config.method || "GET");
+  }
+
+  // One event per logical call (retries included), e.g.
+  // { method: "GET", template: "/users/:id", status: 200, duration: 84,
+  //   retries: 0, bytes: 512, cache: null, traceId, spanId, error: null }
+  // Deduplicated callers share the event of the request they joined.
+  trace(config, span, startedAt, response, error) {
+    if (!this.onTrace) return;
+
+    const length = response && response.headers.get("content-length");
+    this.onTrace({
+      type: "http.client",
+      method: (config.method || "GET").toUpperCase(),
+      url: config.url,
+      template: config.template || urlTemplate(config.url),
+      status: response ? response.status : null,
+      duration: Date.now() - startedAt,
+      retries: Math.max(0, (config.attempts || 1) - 1),
+      bytes: length ? Number(length) : null,
+      cache: null,  // API doesn't cache - see ApiClient in fetch_api_basics.js
+      traceId: span.traceId,
+      spanId: span.spanId,
+      error: error ? error.name : null
+    });
+  }
+
+  // One network attempt: rate limit + timeout + response interceptors
+  async send(config) {
+    const target = this.route(config.url);
+    const controller = new AbortController();  // our timeout
+    let timeoutId;
+
+    // The caller's own signal still cancels this attempt - including the
+    // body download and ndjson/lines/stream responses after the headers
+    const signal = anySignal([controller.signal, config.signal]);
+
+    try {
+      // Wait for a token first - queueing time doesn't count as timeout
+      if (this.limiter) {
+        await this.limiter.acquire(target.url, {
+          priority: config.priority,
+          signal
+        });
+      }
+      timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+      const { url, priority, template, attempts, ...init } = config;
+      const response = await this.transport(target.url, {
+        ...init,
+        signal
+      });
+
+      if (this.limiter) {
+        this.limiter.update(target.url, response);
+      }
+
+      if (target.breaker) {
+        if (response.status >= 500) {
+          target.breaker.recordFailure();
+        } else {
+          target.breaker.recordSuccess();
+        }
+      }
+
+      return await this.interceptors.response.run(response, config);
+
+    } catch (error) {
+      const cancelled = config.signal && config.signal.aborted;
+
+      if (target.breaker) {
+        if (cancelled) {
+          target.breaker.release();
+        } else {
+          target.breaker.recordFailure();
+        }
+      }
+
+      const details = { url: target.url, method: config.method, cause: error };
+
+      if (error.name === "AbortError") {
+        throw cancelled
+          ? new AbortError("Request aborted", details)
+          : new TimeoutError("Request timeout", { ...details, timeout: this.timeout });
+      }
+      // fetch() rejects with a TypeError when there is no response
+      if (error instanceof TypeError) {
+        throw new NetworkError(error.message, details);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  // "/users" → baseUrl + "/users"; absolute URLs are used as-is
+  resolveUrl(endpoint) {
+    return /^https?:\/\//i.test(endpoint) ? endpoint : `${this.baseUrl}${endpoint}`;
+  }
+
+  // Async iterator over every item of a paginated endpoint
+  paginate(endpoint, options) {
+    return new Paginator(this, endpoint, options);
+  }
+
+  breakerFor(baseUrl) {
+    if (!this.breakers.has(baseUrl)) {
+      this.breakers.set(baseUrl, new CircuitBreaker(this.circuitOptions));
+    }
+    return this.breakers.get(baseUrl);
+  }
+
+  // Primary while its circuit allows it, otherwise the fallback
+  route(url) {
+    if (!this.circuitOptions || !url.startsWith(this.baseUrl)) {
+      return { url, breaker: null };
+    }
+
+    const primary = this.breakerFor(this.baseUrl);
+    if (primary.canRequest()) {
+      return { url, breaker: primary };
+    }
+
+    if (this.fallbackUrl) {
+      const fallback = this.breakerFor(this.fallbackUrl);
+      if (fallback.canRequest()) {
+        const path = url.slice(this.baseUrl.length);
+        return { url: `${this.fallbackUrl}${path}`, breaker: fallback };
+      }
+    }
+
+    throw new CircuitOpenError(`Circuit open for ${this.baseUrl}`, { url });
+  }
+
+  // Every concurrent caller shares the same refresh promise
+  refreshAuth() {
+    if (!this.refreshing) {
+      this.refreshing = Promise.resolve()
+        .then(() => this.refreshToken())
+        .then(token => {
+          localStorage.setItem("authToken", token);
+        })
+        .catch(error => {
+          throw new FetchError(`Token refresh failed: ${error.message}`, { cause: error });
+        })
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+
+    return this.refreshing;
+  }
+
+  // GraphQL over the same pipeline as REST (auth, interceptors, retry,
+  // rate limit, circuit breaker). Resolves with `data`; a non-empty
+  // errors array rejects with GraphQLError - or, with
+  // errorPolicy: "all", resolves with { data, errors } instead.
+  query(document, variables, options) {
+    return this.graphqlRequest(document, variables, options);
+  }
+
+  mutation(document, variables, options) {
+    return this.graphqlRequest(document, variables, options);
+  }
+
+  async graphqlRequest(document, variables = {}, options = {}) {
+    const { operationName, errorPolicy, batch, ...requestOptions } = options;
+    const operation = {
+      query: document,
+      variables,
+      operationName: operationName || operationNameOf(document)
+    };
+
+    // batch: false → send on its own (e.g. to cancel it with a signal)
+    const result = this.graphql.batch && batch !== false
+      ? await this.enqueueOperation(operation)
+      : (await this.sendOperations([operation], requestOptions))[0];
+
+    const errors = (result && result.errors) || [];
+    const data = result ? result.data ?? null : null;
+
+    if (errorPolicy === "all") {
+      return { data, errors };
+    }
+    if (errors.length) {
+      throw new GraphQLError(errors, {
+        url: this.resolveUrl(this.graphql.endpoint),
+        method: "POST",
+        data,
+        operationName: operation.operationName
+      });
+    }
+    return data;
+  }
+
+  // Operations made within `wait` ms share one POST of [op, op, ...]
+  enqueueOperation(operation) {
+    const { wait, maxSize } = this.graphql.batch;
+
+    return new Promise((resolve, reject) => {
+      this.graphqlQueue.push({ operation, resolve, reject });
+
+      if (this.graphqlQueue.length >= maxSize) {
+        this.flushOperations();
+      } else if (!this.graphqlTimer) {
+        this.graphqlTimer = setTimeout(() => this.flushOperations(), wait);
+      }
+    });
+  }
+
+  flushOperations() {
+    clearTimeout(this.graphqlTimer);
+    this.graphqlTimer = null;
+
+    const queue = this.graphqlQueue.splice(0);
+    if (!queue.length) return;
+
+    this.sendOperations(queue.map(item => item.operation))
+      .then(results => queue.forEach((item, i) => item.resolve(results[i])))
+      .catch(error => queue.forEach(item => item.reject(error)));
+  }
+
+  // One request for any number of operations → one result per operation
+  async sendOperations(operations, options = {}) {
+    if (!this.graphql.persisted) {
+      return this.postOperations(operations, options);
+    }
+
+    // Persisted queries: send only the hash; the full text goes once,
+    // for the operations the server hasn't seen yet
+    const payloads = await Promise.all(operations.map(async ({ query, ...rest }) => {
+      if (!this.queryHashes.has(query)) {
+        this.queryHashes.set(query, await sha256Hex(query));
+      }
+      const sha256Hash = this.queryHashes.get(query);
+      return { ...rest, extensions: { persistedQuery: { version: 1, sha256Hash } } };
+    }));
+
+    const results = await this.postOperations(payloads, options);
+    const missing = results.flatMap((result, i) => isPersistedQueryMiss(result) ? [i] : []);
+
+    if (missing.length) {
+      const retried = await this.postOperations(
+        missing.map(i => ({ ...payloads[i], query: operations[i].query })),
+        options
+      );
+      missing.forEach((index, n) => {
+        results[index] = retried[n];
+      });
+    }
+
+    return results;
+  }
+
+  async postOperations(payloads, options = {}) {
+    let body;
+
+    try {
+      body = await this.request(this.graphql.endpoint, {
+        ...options,
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...options.headers },
+        body: JSON.stringify(payloads.length === 1 ? payloads[0] : payloads),
+        responseType: "json"
+      });
+    } catch (error) {
+      // Many servers answer invalid queries with 400 + { errors: [...] }:
+      // that's a GraphQL error, not a transport failure
+      const errors = error instanceof HttpError && error.body && error.body.errors;
+      if (!Array.isArray(errors)) throw error;
+      body = error.body;
+    }
+
+    // A single error object for the whole batch applies to every operation
+    return Array.isArray(body) ? body : payloads.map(() => body);
+  }
+
+  // Long-lived connections with the same base URL + auth (see section 9)
+  events(endpoint, options = {}) {
+    return new SSEClient(this.resolveUrl(endpoint), {
+      transport: this.transport,
+      ...options,
+      // Re-read on every reconnect so a refreshed token is used
+      headers: () => ({ ...this.defaultHeaders, ...getAuthHeaders(), ...options.headers })
+    });
+  }
+
+  // Browsers can't set headers on a WebSocket - the token goes in the URL
+  socket(endpoint, options = {}) {
+    const url = new URL(this.resolveUrl(endpoint));
+    url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+    const token = localStorage.getItem("authToken");
+    if (token) url.searchParams.set("access_token", token);
+    return new WebSocketClient(url.href, options);
+  }
+
+  async get(endpoint, options) {
+    return this.request(endpoint, { ...options, method: "GET" });
+  }
+
+  async post(endpoint, data, options) {
+    return this.request(endpoint, {
+      ...options,
+      method: "POST",
+      body: JSON.stringify(data)
+    });
+  }
+
+  async put(endpoint, data, options) {
+    return this.request(endpoint, {
+      ...options,
+      method: "PUT",
+      body: JSON.stringify(data)
+    });
+  }
+
+  async delete(endpoint, options) {
+    return this.request(endpoint, { ...options, method: "DELETE" });
+  }
+}
+
+// Usage
+const api = new API("https://api.example.com", {
+  headers: { "Authorization": "Bearer token" },
   timeout: 5000
 });
 
+// Interceptors: inject auth, log timings, normalize errors
+const removeAuth = api.interceptors.request.use(config => {
+  config.headers.Authorization = `Bearer ${localStorage.getItem("authToken")}`;
+  config.startTime = Date.now();
+  return config;
+});
+
+api.interceptors.response.use((response, config) => {
+  console.log(`${config.method} ${config.url} → ${response.status} (${Date.now() - config.startTime}ms)`);
+  return response;
+});
+
+api.interceptors.error.use(error => {
+  if (error instanceof HttpError && error.body && error.body.message) {
+    error.message = error.body.message;  // Prefer the server's explanation
+  }
+  return error;
+});
+
+// removeAuth(); // Stop injecting the token
+
+// Retries: idempotent requests only, 5xx/429/network errors only
+// const resilientApi = new API("https://api.example.com", {
+//   retry: new RetryPolicy({
+//     maxAttempts: 4,
+//     maxElapsed: 15000,
+//     onAttempt: info => console.log("attempt", info)
+//   })
+// });
+
+// Circuit breaker: after 5 failures in 1 minute, stop calling the
+// primary for 30s and use the fallback instead
+// const mirroredApi = new API("https://api.example.com", {
+//   fallbackUrl: "https://backup.example.com",
+//   circuitBreaker: { failureThreshold: 5, windowMs: 60000, resetTimeout: 30000 }
+// });
+// mirroredApi.breakers.get("https://api.example.com").state; // "OPEN"
+
+// Tracing: one structured event per call + W3C traceparent header
+// (propagate: false keeps the events but drops the header, e.g. for a
+//  server whose CORS config doesn't allow it)
+// const tracedApi = new API("https://api.example.com", {
+//   onTrace: event => navigator.sendBeacon("/metrics", JSON.stringify(event))
+// });
+// tracedApi.get(`/users/${id}`);                           // template "/users/:id"
+// tracedApi.get(`/orgs/${org}/repos`, { template: "/orgs/:org/repos" });
+//
+// In a Node service, continue the incoming trace:
+// tracedApi.get("/users/1", { traceparent: req.headers.traceparent });
+
+// Rate limiting: 5 requests/sec per host, bursts of 10; a 429 or
+// X-RateLimit-Remaining: 0 pauses that host until its reset time
+// const politeApi = new API("https://api.example.com", {
+//   rateLimit: { rate: 5, burst: 10 },
+//   retry: new RetryPolicy()
+// });
+// Bulk jobs queue behind interactive requests:
+// ids.forEach(id => politeApi.get(`/users/${id}`, { priority: -1 }));
+// politeApi.get("/me", { priority: 10 });  // goes out next
+
+// Response types: parsed from Content-Type, or forced per call
+// await api.delete("/users/1");                          // 204 → null
+// await api.get("/reports.csv");                         // text/csv → string
+// await api.get("/avatar/1", { responseType: "blob" });
+// for await (const row of await api.get("/export", { responseType: "ndjson" })) { ... }
+
+// Deduplication: both calls share one network request
+// const [a, b] = await Promise.all([api.get("/users/1"), api.get("/users/1")]);
+//
+// Aborting one caller leaves the other one waiting for the result
+// const controller = new AbortController();
+// api.get("/users/1", { signal: controller.signal });
+// controller.abort();
+//
+// Opt out per call
+// api.get("/users/1", { dedupe: false });
+
+// Token refresh: concurrent 401s share one refresh, then replay
+// const authApi = new API("https://api.example.com", {
+//   refreshToken: async () => {
+//     const response = await fetch("/auth/refresh", { method: "POST", credentials: "include" });
+//     if (!response.ok) throw new Error(`HTTP ${response.status}`);
+//     const { token } = await response.json();
+//     return token;
+//   }
+// });
+
+// GraphQL: query/mutation helpers on the same client
+// const gql = new API("https://api.example.com", {
+//   graphql: {
+//     endpoint: "/graphql",
+//     persisted: true,                     // send sha256 hashes instead of query text
+//     batch: { wait: 10, maxSize: 10 }     // one POST for operations made together
+//   }
+// });
+//
+// const { user } = await gql.query(`
+//   query GetUser($id: ID!) { user(id: $id) { id name } }
+// `, { id: 1 });
+//
+// await gql.mutation(`mutation Rename($id: ID!, $name: String!) {
+//   renameUser(id: $id, name: $name) { id }
+// }`, { id: 1, name: "Ann" });
+//
+// try { ... } catch (error) {
+//   if (error instanceof GraphQLError) error.errors;   // resolver errors, partial error.data
+//   else if (error instanceof HttpError) error.status; // transport-level failure
+// }
+//
+// Keep partial data instead of throwing:
+// const { data, errors } = await gql.query(doc, vars, { errorPolicy: "all" });
+
 // Pattern 2: Pagination
+// (single page - to walk every page use api.paginate() below)
 async function fetchPaginated(page = 1, limit = 10) {
   const url = `https://jsonplaceholder.typicode.com/posts?_page=${page}&_limit=${limit}`;
   const response = await fetch(url);
@@ -433,6 +1976,157 @@ async function fetchPaginated(page = 1, limit = 10) {
   };
 }
 
+// Link: <https://api.github.com/repos?page=3>; rel="next", <...>; rel="last"
+// → { next: "https://api.github.com/repos?page=3", last: "..." }
+function parseLinkHeader(header) {
+  const links = {};
+  if (!header) return links;
+
+  for (const part of header.split(",")) {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="?([^";]+)"?/);
+    if (match) {
+      for (const rel of match[2].split(/\s+/)) {
+        links[rel] = match[1];
+      }
+    }
+  }
+
+  return links;
+}
+
+// Walks every page for you. Strategies:
+// - "page":   ?page=1&limit=20, ?page=2&limit=20, ...
+// - "offset": ?offset=0&limit=20, ?offset=20&limit=20, ...
+// - "cursor": ?cursor=<nextCursor from the previous body>
+// - "link":   follow the Link header's rel="next" URL
+//
+// paginator.state is the position of the NEXT page - save it and pass
+// it back as { from: state } to resume later (page granularity).
+class Paginator {
+  constructor(api, endpoint, options = {}) {
+    this.api = api;
+    this.endpoint = endpoint;
+    this.strategy = options.strategy || "page";
+    this.limit = options.limit ?? 20;
+    this.maxItems = options.maxItems ?? Infinity;
+    this.requestOptions = options.request || {};
+
+    // Query parameter names, e.g. { page: "_page", limit: "_limit" }
+    this.params = {
+      page: "page",
+      limit: "limit",
+      offset: "offset",
+      cursor: "cursor",
+      ...options.params
+    };
+
+    // Where the items / next cursor live in the response body
+    this.getItems = options.getItems
+      || (body => Array.isArray(body) ? body : (body && (body.items || body.data)) || []);
+    this.getCursor = options.getCursor || (body => (body && body.nextCursor) || null);
+
+    this.state = { page: 1, offset: 0, cursor: null, next: null, done: false, ...options.from };
+    this.count = 0;
+  }
+
+  nextUrl() {
+    if (this.strategy === "link" && this.state.next) {
+      return this.state.next;
+    }
+
+    const url = new URL(this.api.resolveUrl(this.endpoint));
+    const { params, state } = this;
+
+    if (this.strategy !== "link") {
+      url.searchParams.set(params.limit, this.limit);
+    }
+    if (this.strategy === "page") {
+      url.searchParams.set(params.page, state.page);
+    }
+    if (this.strategy === "offset") {
+      url.searchParams.set(params.offset, state.offset);
+    }
+    if (this.strategy === "cursor" && state.cursor) {
+      url.searchParams.set(params.cursor, state.cursor);
+    }
+
+    return url.href;
+  }
+
+  advance(url, body, headers, received) {
+    const state = this.state;
+    const total = Number(headers.get("X-Total-Count")) || Infinity;
+
+    switch (this.strategy) {
+      case "page":
+        state.done = received < this.limit || state.page * this.limit >= total;
+        state.page++;
+        break;
+      case "offset":
+        state.offset += received;
+        state.done = received < this.limit || state.offset >= total;
+        break;
+      case "cursor":
+        state.cursor = this.getCursor(body);
+        state.done = !state.cursor || received === 0;
+        break;
+      case "link": {
+        const next = parseLinkHeader(headers.get("Link")).next;
+        state.next = next ? new URL(next, url).href : null;
+        state.done = !next;
+        break;
+      }
+      default:
+        throw new Error(`Unknown pagination strategy: ${this.strategy}`);
+    }
+  }
+
+  // One array per page
+  async *pages() {
+    while (!this.state.done && this.count < this.maxItems) {
+      const url = this.nextUrl();
+      const { data, headers } = await this.api.request(url, {
+        ...this.requestOptions,
+        withResponse: true
+      });
+
+      const received = this.getItems(data);
+      this.advance(url, data, headers, received.length);
+
+      const items = received.slice(0, this.maxItems - this.count);
+      this.count += items.length;
+
+      if (items.length) {
+        yield items;
+      }
+    }
+  }
+
+  // One item at a time
+  async *[Symbol.asyncIterator]() {
+    for await (const items of this.pages()) {
+      yield* items;
+    }
+  }
+}
+
+// const posts = api.paginate("/posts", {
+//   strategy: "page",
+//   params: { page: "_page", limit: "_limit" },   // json-server style
+//   limit: 10,
+//   maxItems: 50
+// });
+//
+// for await (const post of posts) {
+//   console.log(post.title);
+// }
+//
+// localStorage.setItem("postsCursor", JSON.stringify(posts.state));   // save
+// api.paginate("/posts", { from: JSON.parse(localStorage.getItem("postsCursor")) }); // resume
+//
+// GitHub-style Link headers:
+// for await (const repo of api.paginate("/user/repos", { strategy: "link" })) { ... }
+
 // Pattern 3: Search with debounce
 function debounce(func, delay) {
   let timeoutId;
@@ -447,6 +2141,672 @@ const searchAPI = debounce(async (query) => {
   return await response.json();
 }, 300);
 
+/* ============================================================
+   8. Mock Transport & Request Recording
+   ============================================================ */
+
+console.log("=== Mock Transport ===");
+
+// The clients never call fetch directly - they call their "transport".
+// Swap it for one of these to test without jsonplaceholder.typicode.com.
+
+// Helper: wait, but stop early if the request is aborted
+function mockDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      clearTimeout(timer);
+      reject(new DOMException("The operation was aborted.", "AbortError"));
+    };
+    // Infinity = hang until aborted (simulates a timeout)
+    const timer = Number.isFinite(ms)
+      ? setTimeout(() => {
+        if (signal) signal.removeEventListener("abort", abort);
+        resolve();
+      }, ms)
+      : null;
+
+    if (signal && signal.aborted) return abort();
+    if (signal) signal.addEventListener("abort", abort, { once: true });
+  });
+}
+
+// In-memory server:
+//   router.get("/users/:id", req => ({ id: Number(req.params.id) }))
+//
+// Handlers return a plain value (→ 200 JSON), a Response, or
+// { status, headers, body }.
+// Per-route options:
+//   latency: ms or [min, max]
+//   fault:   { rate: 0.3, type: "network" | "timeout" | 503 }
+class MockRouter {
+  constructor(options = {}) {
+    this.routes = [];
+    this.calls = [];                    // every request, for assertions
+    this.latency = options.latency ?? 0;
+    this.fault = options.fault || null;  // applies to every route
+
+    // Bound so it can be passed around like fetch
+    this.transport = (url, init) => this.handle(url, init);
+  }
+
+  // path: "/users/:id", "*" , a RegExp or (req) => boolean
+  on(method, path, handler, options = {}) {
+    this.routes.push({ method: method.toUpperCase(), path, handler, options });
+    return this;
+  }
+
+  get(path, handler, options) { return this.on("GET", path, handler, options); }
+  post(path, handler, options) { return this.on("POST", path, handler, options); }
+  put(path, handler, options) { return this.on("PUT", path, handler, options); }
+  patch(path, handler, options) { return this.on("PATCH", path, handler, options); }
+  delete(path, handler, options) { return this.on("DELETE", path, handler, options); }
+
+  // Returns route params ({ id: "1" }) or null
+  match(route, req) {
+    if (route.method !== "*" && route.method !== req.method) return null;
+    if (typeof route.path === "function") return route.path(req) ? {} : null;
+    if (route.path instanceof RegExp) {
+      const result = route.path.exec(req.path);
+      return result ? { ...result.groups } : null;
+    }
+    if (route.path === "*") return {};
+
+    const names = [];
+    const pattern = route.path.replace(/:(\w+)/g, (_, name) => {
+      names.push(name);
+      return "([^/]+)";
+    });
+    const result = new RegExp(`^${pattern}$`).exec(req.path);
+    if (!result) return null;
+
+    return Object.fromEntries(names.map((name, i) => [name, decodeURIComponent(result[i + 1])]));
+  }
+
+  async handle(url, init = {}) {
+    const parsed = new URL(url, "http://mock.local");
+    const req = {
+      method: (init.method || "GET").toUpperCase(),
+      url: parsed.href,
+      path: parsed.pathname,
+      query: Object.fromEntries(parsed.searchParams),
+      headers: Object.fromEntries(new Headers(init.headers)),
+      body: init.body,
+      params: {}
+    };
+
+    if (typeof req.body === "string") {
+      try {
+        req.body = JSON.parse(req.body);
+      } catch (error) {
+        // Not JSON - keep the string
+      }
+    }
+
+    this.calls.push(req);
+
+    let route = null;
+    for (const candidate of this.routes) {
+      const params = this.match(candidate, req);
+      if (params) {
+        route = candidate;
+        req.params = params;
+        break;
+      }
+    }
+
+    const latency = route && route.options.latency !== undefined ? route.options.latency : this.latency;
+    const wait = Array.isArray(latency)
+      ? latency[0] + Math.random() * (latency[1] - latency[0])
+      : latency;
+    if (wait > 0) await mockDelay(wait, init.signal);
+
+    const fault = (route && route.options.fault) || this.fault;
+    if (fault && Math.random() < (fault.rate ?? 1)) {
+      if (fault.type === "network") throw new TypeError("Failed to fetch");
+      if (fault.type === "timeout") await mockDelay(Infinity, init.signal);
+      if (typeof fault.type === "number") {
+        return new Response(JSON.stringify({ error: "Injected fault" }), {
+          status: fault.type,
+          headers: { "Content-Type": "application/json" }
+        });
+      }
+    }
+
+    if (!route) {
+      return new Response(JSON.stringify({ error: `No mock route for ${req.method} ${req.path}` }), {
+        status: 404,
+        headers: { "Content-Type": "application/json" }
+      });
+    }
+
+    const result = await route.handler(req);
+    return toMockResponse(result);
+  }
+}
+
+function toMockResponse(result) {
+  if (result instanceof Response) return result;
+
+  const isSpec = result && typeof result === "object" && "status" in result;
+  const { status = 200, headers = {}, body = result } = isSpec ? result : {};
+
+  if (body === undefined || body === null || status === 204) {
+    return new Response(null, { status, headers });
+  }
+
+  const text = typeof body === "string" ? body : JSON.stringify(body);
+  const contentType = typeof body === "string" ? "text/plain" : "application/json";
+  return new Response(text, { status, headers: { "Content-Type": contentType, ...headers } });
+}
+
+// Record mode: call the real network and remember every exchange.
+// Replay mode: answer from those fixtures - no network at all.
+// (Bodies are stored as text, so binary responses are not supported.)
+class RequestRecorder {
+  constructor(options = {}) {
+    this.mode = options.mode || "replay";
+    this.fixtures = options.fixtures || [];
+    this.network = options.transport || ((url, init) => fetch(url, init));
+    this.used = new Set();
+
+    this.transport = (url, init) => this.mode === "record"
+      ? this.record(url, init)
+      : this.replay(url, init);
+  }
+
+  async record(url, init = {}) {
+    const response = await this.network(url, init);
+    const copy = response.clone();
+
+    this.fixtures.push({
+      request: {
+        method: (init.method || "GET").toUpperCase(),
+        url: String(url),
+        body: typeof init.body === "string" ? init.body : null
+      },
+      response: {
+        status: copy.status,
+        statusText: copy.statusText,
+        headers: Object.fromEntries(copy.headers),
+        body: await copy.text()
+      }
+    });
+
+    return response;
+  }
+
+  async replay(url, init = {}) {
+    const method = (init.method || "GET").toUpperCase();
+    const body = typeof init.body === "string" ? init.body : null;
+
+    const matches = this.fixtures
+      .map((fixture, index) => ({ fixture, index }))
+      .filter(({ fixture }) => fixture.request.method === method
+        && fixture.request.url === String(url)
+        && (method === "GET" || fixture.request.body === body));
+
+    if (!matches.length) {
+      throw new Error(`No recorded fixture for ${method} ${url}`);
+    }
+
+    // Same request recorded twice? Replay them in order, then repeat the last
+    const next = matches.find(({ index }) => !this.used.has(index)) || matches[matches.length - 1];
+    this.used.add(next.index);
+
+    const { status, statusText, headers, body: text } = next.fixture.response;
+    const empty = status === 204 || status === 304;
+    return new Response(empty ? null : text, { status, statusText, headers });
+  }
+
+  // Node only: fixtures as a JSON file next to your tests
+  async save(file) {
+    const fsp = require("fs/promises");
+    await fsp.writeFile(file, JSON.stringify(this.fixtures, null, 2));
+  }
+
+  static async load(file, options = {}) {
+    const fsp = require("fs/promises");
+    const fixtures = JSON.parse(await fsp.readFile(file, "utf8"));
+    return new RequestRecorder({ ...options, mode: "replay", fixtures });
+  }
+}
+
+// Test against the in-memory router
+// const router = new MockRouter({ latency: [20, 80] })
+//   .get("/users", () => [{ id: 1, name: "Alice" }])
+//   .get("/users/:id", req => ({ id: Number(req.params.id), name: "Alice" }))
+//   .post("/users", req => ({ status: 201, body: { id: 2, ...req.body } }))
+//   .get("/flaky", () => ({ ok: true }), { fault: { rate: 0.5, type: 503 } });
+//
+// const testApi = new API("https://jsonplaceholder.typicode.com", { transport: router.transport });
+// await testApi.get("/users/1");   // { id: 1, name: "Alice" }
+// router.calls.length;             // 1
+//
+// Record once against the real API, then replay offline
+// const recorder = new RequestRecorder({ mode: "record" });
+// const recordingApi = new API("https://jsonplaceholder.typicode.com", { transport: recorder.transport });
+// await recordingApi.get("/users/1");
+// await recorder.save("fixtures/users.json");
+//
+// const offline = await RequestRecorder.load("fixtures/users.json");
+// new API("https://jsonplaceholder.typicode.com", { transport: offline.transport });
+
+/* ============================================================
+   9. Event Streams (SSE & WebSocket)
+   ============================================================ */
+
+console.log("=== Event Streams ===");
+
+// fetch is request → response. For server pushes keep a connection open:
+// - SSE (text/event-stream): server → client only, plain HTTP, resumable
+//   with Last-Event-ID
+// - WebSocket: both directions, needs its own heartbeat/reconnect logic
+//
+// Both clients below use the same conventions as API (base URL, auth
+// headers, typed errors) and expose messages two ways:
+//   client.on("message", event => ...)             listeners
+//   for await (const event of client.stream()) ... async iterator
+
+// Listener + async-iterator plumbing shared by both clients
+class EventChannel {
+  constructor() {
+    this.listeners = new Map();
+    this.closed = false;
+  }
+
+  // Returns an unsubscribe function
+  on(type, listener) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+    return () => this.off(type, listener);
+  }
+
+  off(type, listener) {
+    const listeners = this.listeners.get(type);
+    if (listeners) listeners.delete(listener);
+  }
+
+  // Like EventTarget: a throwing listener is reported (window "error" /
+  // uncaughtException) but never reaches the connection code that
+  // emitted - and the other listeners still run
+  emit(type, payload) {
+    for (const listener of [...(this.listeners.get(type) || [])]) {
+      try {
+        listener(payload);
+      } catch (error) {
+        queueMicrotask(() => { throw error; });
+      }
+    }
+  }
+
+  // Buffers events until the consumer asks for them; ends on close().
+  // Breaking out of the for await loop removes the listeners.
+  async *stream(type = "message") {
+    const buffer = [];
+    let wake = () => {};
+    let done = this.closed;
+
+    const unsubscribe = [
+      this.on(type, event => {
+        buffer.push(event);
+        wake();
+      }),
+      this.on("close", () => {
+        done = true;
+        wake();
+      })
+    ];
+
+    try {
+      while (true) {
+        if (buffer.length) {
+          yield buffer.shift();
+        } else if (done) {
+          return;
+        } else {
+          await new Promise(resolve => { wake = resolve; });
+        }
+      }
+    } finally {
+      unsubscribe.forEach(off => off());
+    }
+  }
+}
+
+// Wait for ms, or less if the signal fires first
+function waitUnlessAborted(ms, signal) {
+  return new Promise(resolve => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    // Remove the listener again - long-lived clients wait many times
+    const timer = setTimeout(() => {
+      signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// text/event-stream parser:
+//   id: 42
+//   event: price
+//   data: {"symbol":"ACME"}
+//   <blank line> → dispatch
+async function* readServerEvents(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let event = { type: "", data: [], id: undefined, retry: undefined };
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split(/\r\n|\r|\n/);
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (line === "") {
+          if (event.data.length || event.id !== undefined || event.retry !== undefined) {
+            yield { type: event.type || "message", data: event.data.join("\n"), id: event.id, retry: event.retry };
+          }
+          event = { type: "", data: [], id: undefined, retry: undefined };
+          continue;
+        }
+        if (line.startsWith(":")) continue;  // comment / keep-alive
+
+        const colon = line.indexOf(":");
+        const field = colon === -1 ? line : line.slice(0, colon);
+        const value = colon === -1 ? "" : line.slice(colon + 1).replace(/^ /, "");
+
+        if (field === "event") event.type = value;
+        else if (field === "data") event.data.push(value);
+        else if (field === "id" && !value.includes("\0")) event.id = value;
+        else if (field === "retry" && /^\d+$/.test(value)) event.retry = Number(value);
+      }
+    }
+  } finally {
+    await reader.cancel().catch(() => {});
+  }
+}
+
+// Server-Sent Events over fetch (unlike EventSource, fetch can send
+// an Authorization header).
+//
+// - Reconnects with exponential backoff (RetryPolicy.backoff), or the
+//   server's own "retry:" delay
+// - Sends Last-Event-ID on reconnect so the server can replay what we missed
+// - 4xx (except 408/429) or HTTP 204 stop for good - the server said no
+//
+// Events: "open", "message" / custom event names, "error", "reconnecting", "close"
+class SSEClient extends EventChannel {
+  constructor(url, options = {}) {
+    super();
+    this.url = url;
+    this.headers = options.headers || {};    // object, or () => object (fresh token per connect)
+    this.transport = options.transport || ((url, init) => fetch(url, init));
+    this.reconnect = options.reconnect || new RetryPolicy({ maxAttempts: Infinity, baseDelay: 1000, maxDelay: 30000 });
+    this.json = Boolean(options.json);       // JSON.parse every data field
+    this.lastEventId = options.lastEventId || null;
+    this.retryDelay = null;
+    this.controller = new AbortController();
+
+    // Settles when the client stops. (Listener errors never get here -
+    // EventChannel.emit reports them separately.)
+    this.done = this.run().catch(error => {
+      console.error("SSE client stopped:", error);
+      this.closed = true;
+      this.controller.abort();
+    });
+  }
+
+  async run() {
+    let failures = 0;
+
+    while (!this.closed) {
+      try {
+        const headers = typeof this.headers === "function" ? this.headers() : this.headers;
+        const response = await this.transport(this.url, {
+          headers: {
+            ...headers,
+            "Accept": "text/event-stream",
+            ...(this.lastEventId && { "Last-Event-ID": this.lastEventId })
+          },
+          signal: this.controller.signal
+        });
+
+        if (response.status === 204) break;
+        if (!response.ok) {
+          throw await createHttpError(response);
+        }
+
+        failures = 0;
+        this.emit("open", { url: this.url });
+
+        for await (const event of readServerEvents(response)) {
+          if (event.id !== undefined) this.lastEventId = event.id;
+          if (event.retry !== undefined) this.retryDelay = event.retry;
+          if (event.data) this.dispatch(event);
+        }
+
+        // Server ended the stream: reconnect like EventSource does
+      } catch (error) {
+        if (this.closed) return;
+
+        const details = { url: this.url, cause: error };
+        const failure = error instanceof FetchError ? error
+          : error instanceof TypeError ? new NetworkError(error.message, details)
+          : error;
+        this.emit("error", failure);
+
+        const fatal = failure instanceof HttpError && failure.status < 500 && ![408, 429].includes(failure.status);
+        if (fatal) break;
+      }
+
+      failures++;
+      if (this.closed || failures >= this.reconnect.maxAttempts) break;
+
+      const delay = this.retryDelay ?? this.reconnect.backoff(failures);
+      this.emit("reconnecting", { attempt: failures, delay });
+      await waitUnlessAborted(delay, this.controller.signal);
+    }
+
+    this.close();
+  }
+
+  dispatch(event) {
+    let data = event.data;
+
+    if (this.json) {
+      try {
+        data = JSON.parse(data);
+      } catch (error) {
+        // One bad event shouldn't drop the connection
+        this.emit("error", new ParseError("Invalid JSON event", { url: this.url, cause: error }));
+        return;
+      }
+    }
+
+    this.emit(event.type, { type: event.type, id: event.id ?? this.lastEventId, data });
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.controller.abort();
+    this.emit("close", { lastEventId: this.lastEventId });
+  }
+}
+
+// WebSocket with the plumbing the browser doesn't give you:
+//
+// - Heartbeat: send a ping every interval; if nothing comes back within
+//   timeout the connection is dead (half-open TCP) - drop and reconnect
+// - Reconnect with exponential backoff; waits for "online" when offline
+// - send() while disconnected queues messages (up to maxQueue, oldest
+//   dropped first) and flushes them in order after reconnecting
+//
+// Events: "open", "message", "error", "reconnecting", "close"
+class WebSocketClient extends EventChannel {
+  constructor(url, options = {}) {
+    super();
+    this.url = url;
+    this.protocols = options.protocols;
+    this.WebSocket = options.WebSocket || globalThis.WebSocket;  // e.g. require("ws") in Node
+    this.reconnect = options.reconnect || new RetryPolicy({ maxAttempts: Infinity, baseDelay: 1000, maxDelay: 30000 });
+    this.heartbeat = { interval: 30000, timeout: 10000, ping: "ping", pong: "pong", ...options.heartbeat };
+    this.json = options.json ?? true;      // parse incoming / stringify outgoing objects
+    this.maxQueue = options.maxQueue ?? 100;
+    this.queue = [];
+    this.attempt = 0;
+    this.socket = null;
+    this.timers = { ping: null, pong: null, reconnect: null };
+
+    this.connect();
+  }
+
+  get connected() {
+    return Boolean(this.socket) && this.socket.readyState === 1;  // OPEN
+  }
+
+  connect() {
+    const socket = new this.WebSocket(this.url, this.protocols);
+    this.socket = socket;
+
+    socket.onopen = () => {
+      this.attempt = 0;
+      this.emit("open", { url: this.url });
+      this.startHeartbeat();
+      this.flush();
+    };
+
+    socket.onmessage = ({ data }) => {
+      // Any traffic proves the connection is alive
+      clearTimeout(this.timers.pong);
+      if (data === this.heartbeat.pong) return;
+
+      let message = data;
+      if (this.json && typeof data === "string") {
+        try {
+          message = JSON.parse(data);
+        } catch {
+          // Not JSON - deliver as text
+        }
+      }
+      this.emit("message", { data: message });
+    };
+
+    socket.onerror = () => {
+      this.emit("error", new NetworkError("WebSocket error", { url: this.url }));
+    };
+
+    socket.onclose = ({ code, reason }) => {
+      this.stopHeartbeat();
+      if (this.socket === socket) this.socket = null;
+      if (!this.closed) this.scheduleReconnect(code, reason);
+    };
+  }
+
+  async scheduleReconnect(code, reason) {
+    this.attempt++;
+
+    if (this.attempt >= this.reconnect.maxAttempts) {
+      this.close();
+      return;
+    }
+
+    // No point retrying while the browser knows it's offline
+    if (isOffline()) {
+      await waitForOnline();
+      if (this.closed) return;
+    }
+
+    const delay = this.reconnect.backoff(this.attempt);
+    this.emit("reconnecting", { attempt: this.attempt, delay, code, reason });
+    this.timers.reconnect = setTimeout(() => {
+      if (!this.closed) this.connect();
+    }, delay);
+  }
+
+  startHeartbeat() {
+    this.stopHeartbeat();
+    this.timers.ping = setInterval(() => {
+      if (!this.connected) return;
+      this.socket.send(this.heartbeat.ping);
+
+      clearTimeout(this.timers.pong);
+      this.timers.pong = setTimeout(() => {
+        this.emit("error", new TimeoutError("Heartbeat timeout", { url: this.url, timeout: this.heartbeat.timeout }));
+        this.socket.close(4000, "Heartbeat timeout");  // onclose → reconnect
+      }, this.heartbeat.timeout);
+    }, this.heartbeat.interval);
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.timers.ping);
+    clearTimeout(this.timers.pong);
+  }
+
+  send(message) {
+    // Plain objects/arrays → JSON; strings, Blobs and buffers go as-is
+    const plain = message !== null && typeof message === "object" &&
+      (Array.isArray(message) || Object.getPrototypeOf(message) === Object.prototype);
+    const data = this.json && plain ? JSON.stringify(message) : message;
+
+    if (this.connected) {
+      this.socket.send(data);
+      return true;
+    }
+
+    // Offline / reconnecting: keep it for later
+    if (this.queue.length >= this.maxQueue) this.queue.shift();
+    this.queue.push(data);
+    return false;
+  }
+
+  flush() {
+    while (this.queue.length && this.connected) {
+      this.socket.send(this.queue.shift());
+    }
+  }
+
+  close(code = 1000, reason = "Client closed") {
+    if (this.closed) return;
+    this.closed = true;
+    this.stopHeartbeat();
+    clearTimeout(this.timers.reconnect);
+    if (this.socket) this.socket.close(code, reason);
+    this.emit("close", { code, reason, queued: this.queue.length });
+  }
+}
+
+// Usage
+// const api = new API("https://api.example.com", { headers: getAuthHeaders() });
+//
+// Server-Sent Events - listener style
+// const feed = api.events("/notifications", { json: true });
+// feed.on("message", ({ data }) => showToast(data.text));
+// feed.on("price", ({ data, id }) => updateTicker(data));   // "event: price"
+// feed.on("error", error => console.warn(error));            // typed: HttpError, NetworkError
+// feed.close();
+//
+// ...or as an async iterator
+// for await (const { data } of api.events("/notifications").stream()) {
+//   if (data === "bye") break;   // breaking out unsubscribes
+// }
+//
+// WebSocket - queued while offline, flushed after reconnect
+// const chat = api.socket("/chat", { heartbeat: { interval: 20000 } });
+// chat.on("message", ({ data }) => render(data));
+// chat.send({ type: "say", text: "hi" });
+// chat.close();
+
 /**
  * ============================================================
  * Best Practices
@@ -139,20 +139,29 @@ function getUsersWithThen() {
 }
 
 // GET with URL parameters
+// Every user in the result is checked against userSchema (see
+// RESPONSE SCHEMAS below) - a ValidationError lists each bad path
 async function searchUsers(query) {
   const url = new URL("https://api.example.com/search");
   url.searchParams.append("q", query);
   url.searchParams.append("limit", "10");
 
   const response = await fetch(url);
-  return await response.json();
+  if (!response.ok) {
+    throw await createHttpError(response);
+  }
+  return validateSchema([userSchema], await response.json(), { url: url.href });
 }
 
 // GET single resource
 async function getUserById(id) {
-  const response = await fetch(`https://jsonplaceholder.typicode.com/users/${id}`);
+  const url = `https://jsonplaceholder.typicode.com/users/${id}`;
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw await createHttpError(response);
+  }
   const user = await response.json();
-  return user;
+  return validateSchema(userSchema, user, { url });
 }
 
 /* ============================================================
@@ -307,22 +316,33 @@ async function makeRequest(url, data = null) {
 }
 
 // Abort request (timeout)
-async function fetchWithAbort(url) {
+// Pass options.signal to also cancel from outside - e.g. the signal of
+// an AbortGroup (fetch_api_advanced.js) shared by a whole page
+async function fetchWithAbort(url, options = {}) {
+  const { timeout = 5000, signal } = options;
   const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 5000);
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  const onAbort = () => controller.abort(signal.reason);
+
+  if (signal) {
+    if (signal.aborted) onAbort();
+    else signal.addEventListener("abort", onAbort, { once: true });
+  }
 
   try {
     const response = await fetch(url, {
       signal: controller.signal
     });
 
-    clearTimeout(timeoutId);
     return await response.json();
   } catch (error) {
     if (error.name === "AbortError") {
       console.log("Request was aborted");
     }
     throw error;
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener("abort", onAbort);
   }
 }
 
@@ -332,52 +352,733 @@ async function fetchWithAbort(url) {
  * ============================================================
  */
 
+/**
+ * TYPED ERRORS
+ * ------------
+ * Instead of throw new Error("HTTP 404") - which forces callers to
+ * parse the message - throw error classes callers can check with
+ * instanceof. Each one remembers what failed:
+ *
+ * HttpError     → server said no (status, headers, error body)
+ * NetworkError  → no response at all (offline, DNS, CORS)
+ * TimeoutError  → took too long
+ * AbortError    → cancelled on purpose
+ * ParseError    → body wasn't valid JSON
+ *
+ * (ValidationError - JSON that doesn't match its schema - is defined
+ * with RESPONSE SCHEMAS below)
+ *
+ * (Same classes as in fetch_api_advanced.js, section 3)
+ */
+
+class FetchError extends Error {
+  constructor(message, details = {}) {
+    super(message, { cause: details.cause });
+    this.name = this.constructor.name;
+    this.url = details.url;
+    this.method = details.method || "GET";
+  }
+}
+
+class HttpError extends FetchError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.status = details.status;
+    this.statusText = details.statusText;
+    this.headers = details.headers || {};
+    this.body = details.body ?? null;
+  }
+}
+
+class NetworkError extends FetchError {}
+
+class TimeoutError extends FetchError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.timeout = details.timeout;
+  }
+}
+
+class AbortError extends FetchError {}
+
+class ParseError extends FetchError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.status = details.status;
+    this.headers = details.headers || {};
+  }
+}
+
+async function createHttpError(response, method = "GET") {
+  let body = null;
+
+  try {
+    const text = await response.text();
+    const isJson = (response.headers.get("content-type") || "").includes("json");
+    body = text && isJson ? JSON.parse(text) : text || null;
+  } catch (error) {
+    // Keep body = null
+  }
+
+  return new HttpError(`HTTP ${response.status}`, {
+    url: response.url,
+    method,
+    status: response.status,
+    statusText: response.statusText,
+    headers: Object.fromEntries(response.headers),
+    body
+  });
+}
+
+// Example
+// try {
+//   await api.get("/users/999");
+// } catch (error) {
+//   if (error instanceof HttpError && error.status === 404) { ... }
+//   else if (error instanceof NetworkError) { ... }
+// }
+
+/**
+ * RESPONSE SCHEMAS
+ * ----------------
+ * Don't trust whatever JSON comes back. Describe the expected shape
+ * with the same rules as a Mongoose schema (see userSchema in
+ * NodeJS/Database/mongodb_basics.js):
+ *
+ * type       → String, Number, Boolean, Date; [Type] for arrays,
+ *              { ... } for nested objects
+ * required   → must be present (and not "")
+ * default    → used when the field is missing
+ * min / max  → numbers and dates
+ * minlength / maxlength, match, enum → strings
+ * trim / lowercase / uppercase       → string clean-up
+ *
+ * Any rule can carry its own message: min: [0, "Age can't be negative"]
+ *
+ * Values are coerced to the declared type ("42" → 42, ISO string →
+ * Date), unknown fields pass through untouched, and EVERY failing path
+ * is collected into a single ValidationError instead of stopping at
+ * the first one.
+ */
+
+class ValidationError extends FetchError {
+  constructor(errors, details = {}) {
+    const summary = errors.map(error => `${error.path} ${error.message}`).join("; ");
+    super(`Invalid response: ${summary}`, details);
+    this.errors = errors;  // [{ path, kind, message, value }]
+  }
+}
+
+// Same rules as the Mongoose userSchema, plus the id the API adds
+const userSchema = {
+  id: { type: Number, required: true },
+  name: { type: String, required: true, trim: true, minlength: 2, maxlength: 50 },
+  email: { type: String, required: true, lowercase: true, match: /^\S+@\S+\.\S+$/ },
+  age: { type: Number, min: 0, max: 120, default: 0 },
+  isActive: { type: Boolean, default: true },
+  hobbies: [String],
+  address: {
+    street: String,
+    city: String,
+    zip: String
+  },
+  createdAt: Date
+};
+
+// Returns the coerced value, or throws a ValidationError
+function validateSchema(schema, value, details = {}) {
+  const errors = [];
+  const result = checkValue(schema, value, "", errors);
+
+  if (errors.length) {
+    throw new ValidationError(errors, details);
+  }
+  return result;
+}
+
+// String → { type: String }, [String] → { of: String },
+// { street: String } → { fields: { street: String } }
+function toRule(definition) {
+  if (typeof definition === "function") return { type: definition };
+  if (Array.isArray(definition)) return { of: definition[0] };
+  if (!("type" in definition)) return { fields: definition };
+  if (Array.isArray(definition.type)) return { ...definition, of: definition.type[0] };
+  return definition;
+}
+
+// min: 0 or min: [0, "custom message"] → [limit, message?]
+function ruleValue(option) {
+  return Array.isArray(option) && typeof option[1] === "string" ? option : [option];
+}
+
+function coerce(type, value) {
+  switch (type) {
+    case String:
+      return ["string", "number", "boolean"].includes(typeof value) ? String(value) : undefined;
+    case Number: {
+      const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+      return typeof number === "number" && Number.isFinite(number) ? number : undefined;
+    }
+    case Boolean:
+      if (typeof value === "boolean") return value;
+      if (value === "true" || value === 1 || value === "1") return true;
+      if (value === "false" || value === 0 || value === "0") return false;
+      return undefined;
+    case Date: {
+      const date = value instanceof Date ? value : new Date(value);
+      return typeof value !== "boolean" && !Number.isNaN(date.getTime()) ? date : undefined;
+    }
+    default:
+      return value;  // Object / Mixed / no type: anything goes
+  }
+}
+
+function checkValue(definition, value, path, errors) {
+  const rule = toRule(definition);
+  const fail = (kind, message) => {
+    errors.push({ path: path || "(root)", kind, message, value });
+    return value;
+  };
+
+  if (value === undefined || value === null) {
+    if (rule.default !== undefined) {
+      value = typeof rule.default === "function" ? rule.default() : rule.default;
+    } else if (rule.required) {
+      return fail("required", ruleValue(rule.required)[1] || "is required");
+    } else {
+      return value;
+    }
+  }
+
+  if (rule.fields) {
+    if (typeof value !== "object" || Array.isArray(value)) {
+      return fail("type", "must be an object");
+    }
+    const result = { ...value };
+    for (const [key, child] of Object.entries(rule.fields)) {
+      const checked = checkValue(child, value[key], path ? `${path}.${key}` : key, errors);
+      if (checked !== undefined) result[key] = checked;
+    }
+    return result;
+  }
+
+  if (rule.of) {
+    if (!Array.isArray(value)) {
+      return fail("type", "must be an array");
+    }
+    return value.map((item, index) => checkValue(rule.of, item, `${path}[${index}]`, errors));
+  }
+
+  const cast = coerce(rule.type, value);
+  if (cast === undefined) {
+    return fail("type", `must be a ${rule.type.name}`);
+  }
+  value = cast;
+
+  if (typeof value === "string") {
+    if (rule.trim) value = value.trim();
+    if (rule.lowercase) value = value.toLowerCase();
+    if (rule.uppercase) value = value.toUpperCase();
+
+    if (rule.required && value === "") {
+      return fail("required", ruleValue(rule.required)[1] || "is required");
+    }
+    if (rule.minlength !== undefined) {
+      const [min, message] = ruleValue(rule.minlength);
+      if (value.length < min) fail("minlength", message || `must be at least ${min} characters`);
+    }
+    if (rule.maxlength !== undefined) {
+      const [max, message] = ruleValue(rule.maxlength);
+      if (value.length > max) fail("maxlength", message || `must be at most ${max} characters`);
+    }
+    if (rule.match) {
+      const [pattern, message] = ruleValue(rule.match);
+      if (!pattern.test(value)) fail("match", message || `must match ${pattern}`);
+    }
+  }
+
+  if (typeof value === "number" || value instanceof Date) {
+    if (rule.min !== undefined) {
+      const [min, message] = ruleValue(rule.min);
+      if (value < min) fail("min", message || `must be >= ${min}`);
+    }
+    if (rule.max !== undefined) {
+      const [max, message] = ruleValue(rule.max);
+      if (value > max) fail("max", message || `must be <= ${max}`);
+    }
+  }
+
+  if (rule.enum) {
+    // enum: ["a", "b"] or { values: ["a", "b"], message }
+    const values = Array.isArray(rule.enum) ? rule.enum : rule.enum.values;
+    if (!values.includes(value)) {
+      fail("enum", rule.enum.message || `must be one of ${values.join(", ")}`);
+    }
+  }
+
+  return value;
+}
+
+// Example
+// try {
+//   const user = await getUserById(1);   // user.email is lowercased, age defaults to 0
+// } catch (error) {
+//   if (error instanceof ValidationError) {
+//     error.errors.forEach(({ path, message }) => console.warn(path, message));
+//     // "[2].email must match /^\S+@\S+\.\S+$/", "[4].age must be <= 120"
+//   }
+// }
+
+/**
+ * RESPONSE TYPES
+ * --------------
+ * Not every response is JSON! Calling response.json() on these fails:
+ * - 204 No Content (DELETE)  → no body at all → return null
+ * - text/plain, text/csv     → response.text()
+ * - images, PDFs, zips       → response.blob()
+ * - application/x-ndjson     → one JSON object per line, streamed
+ *
+ * The client reads Content-Type to pick the right parser.
+ * Pass { responseType: "text" | "json" | "blob" | "arrayBuffer" |
+ * "ndjson" | "lines" } to override it for a single call.
+ */
+
+// Yields one line at a time while the body is still downloading
+async function* readLines(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (line.trim()) yield line.replace(/\r$/, "");
+      }
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim()) yield buffer;
+  } finally {
+    await reader.cancel().catch(() => {});
+  }
+}
+
+// for await (const user of await api.get("/users.ndjson")) { ... }
+
+/**
+ * RESPONSE CACHING (opt-in)
+ * -------------------------
+ * Dashboards often ask for the same endpoint many times a second.
+ * A small cache in front of GET requests avoids hitting the network
+ * every time:
+ *
+ * - Key: method + URL + sorted query ("GET /users?page=1&role=admin")
+ * - TTL: how long an entry is fresh (default, or per route prefix)
+ * - Stale-while-revalidate: after TTL, serve the old data immediately
+ *   and refresh it in the background for a little longer
+ * - ETag: when refetching, send If-None-Match; a 304 means
+ *   "nothing changed" and we keep the cached data
+ * - Invalidation: POST/PUT/DELETE on a resource drops its entries
+ *
+ * TIMELINE (ttl = 5s, staleWhileRevalidate = 30s):
+ * 0-5s   → fresh, served from cache
+ * 5-35s  → stale, served from cache + background refresh
+ * 35s+   → expired, wait for the network (with If-None-Match)
+ */
+
+class ResponseCache {
+  constructor(options = {}) {
+    this.ttl = options.ttl ?? 60000;
+    this.routes = options.routes || {};  // { "/users": 5000, "/posts": 30000 }
+    this.staleWhileRevalidate = options.staleWhileRevalidate ?? 0;
+    this.entries = new Map();
+  }
+
+  // Same key for "?b=2&a=1" and "?a=1&b=2"
+  key(method, url) {
+    const { origin, pathname, searchParams } = new URL(url);
+    searchParams.sort();
+    const query = searchParams.toString();
+    return `${method} ${origin}${pathname}${query ? `?${query}` : ""}`;
+  }
+
+  // Longest matching route prefix wins
+  ttlFor(pathname) {
+    let best = null;
+
+    for (const route of Object.keys(this.routes)) {
+      const matches = pathname === route || pathname.startsWith(`${route}/`);
+      if (matches && (!best || route.length > best.length)) {
+        best = route;
+      }
+    }
+
+    return best ? this.routes[best] : this.ttl;
+  }
+
+  get(key) {
+    return this.entries.get(key);
+  }
+
+  set(key, url, data, etag) {
+    const { pathname } = new URL(url);
+    this.entries.set(key, {
+      data,
+      etag,
+      pathname,
+      expires: Date.now() + this.ttlFor(pathname)
+    });
+  }
+
+  // Drop "/users/1" and everything below it ("/users/1/posts")
+  // exact: only "/users/1" itself (any query string)
+  invalidate(pathname, exact = false) {
+    for (const [key, entry] of this.entries) {
+      const nested = !exact && entry.pathname.startsWith(`${pathname}/`);
+      if (entry.pathname === pathname || nested) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * TRACING
+ * -------
+ * console.log("Status:", ...) tells you about ONE response. To see
+ * how an API behaves over time, emit a structured event per call:
+ *
+ * { method: "GET", template: "/users/:id", status: 200, duration: 84,
+ *   retries: 0, bytes: 512, cache: "miss", traceId, spanId, error: null }
+ *
+ * "template" groups "/users/1", "/users/2"... into one route.
+ * With tracing on, each request also carries a W3C traceparent header
+ * ("00-<trace-id>-<span-id>-01") so server logs (see
+ * NodeJS/Express/express_basics.js) can be matched to the client call.
+ * It's not a CORS-safelisted header: cross-origin servers must allow
+ * it in their preflight. propagate: false keeps events, drops the header.
+ * (Same helpers as in fetch_api_advanced.js, section 7)
+ */
+
+function createTraceContext(parent) {
+  const hex = bytes => Array.from(crypto.getRandomValues(new Uint8Array(bytes)), b => b.toString(16).padStart(2, "0")).join("");
+  const match = /^00-([0-9a-f]{32})-[0-9a-f]{16}-([0-9a-f]{2})$/.exec(parent || "");
+  const traceId = match ? match[1] : hex(16);
+  const spanId = hex(8);
+  return { traceId, spanId, traceparent: `00-${traceId}-${spanId}-${match ? match[2] : "01"}` };
+}
+
+// "/users/42/posts?page=2" → "/users/:id/posts"
+function urlTemplate(url) {
+  return url
+    .replace(/^https?:\/\/[^/]+/i, "")
+    .split("?")[0]
+    .split("/")
+    .map(segment => /^\d+$|^[0-9a-f]{8}-[0-9a-f-]{27}$|^[0-9a-f]{24}$/i.test(segment) ? ":id" : segment)
+    .join("/");
+}
+
 // Pattern 1: Reusable API client
 class ApiClient {
-  constructor(baseUrl) {
+  constructor(baseUrl, options = {}) {
     this.baseUrl = baseUrl;
+    this.cache = options.cache ? new ResponseCache(options.cache) : null;
+    // RetryPolicy from fetch_api_advanced.js (section 4), or null
+    this.retry = options.retry || null;
+    // fetch-compatible function; swap in MockRouter / RequestRecorder
+    // transports (fetch_api_advanced.js, section 8) for offline tests
+    this.transport = options.transport || ((url, init) => fetch(url, init));
+    // (event) => void - see TRACING above
+    this.onTrace = options.onTrace || null;
+    this.propagate = options.propagate ?? Boolean(this.onTrace);
   }
 
   async request(endpoint, options = {}) {
+    const response = await this.send(endpoint, options);
+
+    if (!response.ok) {
+      throw await createHttpError(response, options.method);
+    }
+
+    const data = await this.parse(response, options);
+
+    // A write makes cached reads of the same resource outdated
+    if (this.cache && options.method && options.method !== "GET") {
+      this.invalidate(endpoint);
+    }
+
+    return data;
+  }
+
+  // Raw fetch with the client's defaults (no status check)
+  async send(endpoint, options = {}) {
     const url = `${this.baseUrl}${endpoint}`;
+    const span = createTraceContext(options.traceparent);
+    const startedAt = Date.now();
+    let attempts = 0;
+
+    const propagate = this.propagate || Boolean(options.traceparent);
 
     const config = {
       ...options,
       headers: {
         "Content-Type": "application/json",
+        ...(propagate && { "traceparent": span.traceparent }),
         ...options.headers
       }
     };
 
-    const response = await fetch(url, config);
+    const event = {
+      method: (config.method || "GET").toUpperCase(),
+      url,
+      template: options.template,
+      traceId: span.traceId,
+      spanId: span.spanId
+    };
 
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
+    const attempt = async () => {
+      attempts++;
+      try {
+        return await this.transport(url, config);
+      } catch (error) {
+        const details = { url, method: config.method, cause: error };
+        // signal: AbortSignal.timeout(ms) rejects with a "TimeoutError"
+        if (error.name === "TimeoutError") {
+          throw new TimeoutError("Request timeout", details);
+        }
+        if (error.name === "AbortError") {
+          throw new AbortError("Request aborted", details);
+        }
+        throw new NetworkError(error.message, details);
+      }
+    };
+
+    try {
+      const response = this.retry
+        ? await this.retry.run(attempt, config.method || "GET")
+        : await attempt();
+
+      const length = response.headers.get("content-length");
+      const cacheable = this.cache && event.method === "GET";
+      this.trace({
+        ...event,
+        status: response.status,
+        duration: Date.now() - startedAt,
+        retries: attempts - 1,
+        bytes: length ? Number(length) : null,
+        cache: response.status === 304 ? "revalidated" : cacheable ? "miss" : null
+      });
+      return response;
+    } catch (error) {
+      this.trace({ ...event, duration: Date.now() - startedAt, retries: attempts - 1, error: error.name });
+      throw error;
     }
+  }
 
-    return await response.json();
+  trace(event) {
+    if (!this.onTrace) return;
+
+    this.onTrace({
+      type: "http.client",
+      method: "GET",
+      url: null,
+      template: null,
+      status: null,
+      duration: 0,
+      retries: 0,
+      bytes: null,
+      cache: null,
+      traceId: null,
+      spanId: null,
+      error: null,
+      ...event,
+      template: event.template || urlTemplate(event.url)
+    });
   }
 
-  async get(endpoint) {
-    return this.request(endpoint);
+  async parse(response, options = {}) {
+    const contentType = response.headers.get("content-type") || "";
+    let type = options.responseType;
+
+    if (!type) {
+      if (contentType.includes("ndjson")) type = "ndjson";
+      else if (contentType.includes("json") || !contentType) type = "json";
+      else if (contentType.startsWith("text/")) type = "text";
+      else type = "blob";
+    }
+
+    // 204 No Content or an explicitly empty body
+    if (response.status === 204 || response.headers.get("content-length") === "0" || !response.body) {
+      return null;
+    }
+
+    if (type === "lines") return readLines(response);
+    if (type === "blob") return await response.blob();
+    if (type === "arrayBuffer") return await response.arrayBuffer();
+
+    if (type === "ndjson") {
+      return (async function* () {
+        for await (const line of readLines(response)) {
+          let item;
+          try {
+            item = JSON.parse(line);
+          } catch (error) {
+            throw new ParseError("Invalid NDJSON line", {
+              url: response.url,
+              method: options.method,
+              status: response.status,
+              headers: Object.fromEntries(response.headers),
+              cause: error
+            });
+          }
+          yield item;
+        }
+      })();
+    }
+
+    const text = await response.text();
+    if (!text) return null;
+    if (type === "text") return text;
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new ParseError("Invalid JSON response", {
+        url: response.url,
+        method: options.method,
+        status: response.status,
+        headers: Object.fromEntries(response.headers),
+        cause: error
+      });
+    }
+
+    // options.schema: validated + coerced before it's returned or cached
+    return options.schema
+      ? validateSchema(options.schema, data, { url: response.url, method: options.method })
+      : data;
   }
 
-  async post(endpoint, data) {
+  async get(endpoint, options = {}) {
+    // Streams can only be read once - never cache them
+    const streaming = ["ndjson", "lines"].includes(options.responseType);
+
+    if (!this.cache || streaming) {
+      return this.request(endpoint, options);
+    }
+
+    const key = this.cache.key("GET", `${this.baseUrl}${endpoint}`);
+    const entry = this.cache.get(key);
+    const now = Date.now();
+
+    const url = `${this.baseUrl}${endpoint}`;
+
+    // Fresh: no network at all
+    if (entry && now < entry.expires) {
+      this.trace({ method: "GET", url, template: options.template, cache: "hit" });
+      return entry.data;
+    }
+
+    // Stale: answer now, refresh in the background
+    if (entry && now < entry.expires + this.cache.staleWhileRevalidate) {
+      this.trace({ method: "GET", url, template: options.template, cache: "stale" });
+      this.revalidate(endpoint, key, entry, options).catch(error => {
+        console.error("Background revalidation failed:", error);
+      });
+      return entry.data;
+    }
+
+    return this.revalidate(endpoint, key, entry, options);
+  }
+
+  // Conditional GET: a 304 keeps the cached data
+  async revalidate(endpoint, key, entry, options = {}) {
+    if (entry && entry.refreshing) {
+      return entry.refreshing;
+    }
+
+    const refresh = (async () => {
+      const headers = entry && entry.etag ? { "If-None-Match": entry.etag } : {};
+      const response = await this.send(endpoint, {
+        ...options,
+        headers: { ...options.headers, ...headers }
+      });
+      const url = `${this.baseUrl}${endpoint}`;
+
+      if (response.status === 304 && entry) {
+        this.cache.set(key, url, entry.data, entry.etag);
+        return entry.data;
+      }
+
+      if (!response.ok) {
+        throw await createHttpError(response);
+      }
+
+      const data = await this.parse(response, options);
+      this.cache.set(key, url, data, response.headers.get("ETag"));
+      return data;
+    })();
+
+    if (entry) {
+      entry.refreshing = refresh;
+      refresh.catch(() => {}).finally(() => {
+        entry.refreshing = null;
+      });
+    }
+
+    return refresh;
+  }
+
+  // Invalidate a resource and its parent collection:
+  // "/users/1" → drops "/users/1", "/users/1/posts" and the "/users" list
+  invalidate(endpoint) {
+    if (!this.cache) return;
+
+    const { pathname } = new URL(`${this.baseUrl}${endpoint}`);
+    this.cache.invalidate(pathname);
+
+    const parent = pathname.slice(0, pathname.lastIndexOf("/"));
+    if (parent) {
+      this.cache.invalidate(parent, true);
+    }
+  }
+
+  clearCache() {
+    if (this.cache) {
+      this.cache.clear();
+    }
+  }
+
+  async post(endpoint, data, options = {}) {
     return this.request(endpoint, {
+      ...options,
       method: "POST",
       body: JSON.stringify(data)
     });
   }
 
-  async put(endpoint, data) {
+  async put(endpoint, data, options = {}) {
     return this.request(endpoint, {
+      ...options,
       method: "PUT",
       body: JSON.stringify(data)
     });
   }
 
-  async delete(endpoint) {
+  async delete(endpoint, options = {}) {
     return this.request(endpoint, {
+      ...options,
       method: "DELETE"
     });
   }
@@ -389,6 +1090,271 @@ const api = new ApiClient("https://jsonplaceholder.typicode.com");
 // api.get("/users").then(users => console.log(users));
 // api.post("/users", { name: "John" });
 
+// With caching enabled
+const cachedApi = new ApiClient("https://jsonplaceholder.typicode.com", {
+  cache: {
+    ttl: 10000,                     // default: 10s fresh
+    routes: { "/users": 60000 },    // users change rarely
+    staleWhileRevalidate: 30000     // serve stale for 30s while refreshing
+  }
+});
+
+// cachedApi.get("/users?_page=1");     // network
+// cachedApi.get("/users?_page=1");     // cache hit
+// cachedApi.put("/users/1", { name }); // drops "/users/1" and "/users" lists
+// cachedApi.invalidate("/posts");      // manual invalidation
+// cachedApi.clearCache();
+
+// With a response schema per endpoint (see RESPONSE SCHEMAS)
+// api.get("/users/1", { schema: userSchema });
+// api.get("/users", { schema: [userSchema] });
+// api.get("/todos", {
+//   schema: [{ title: { type: String, required: true }, status: { type: String, enum: ["open", "done"] } }]
+// });
+
+// With tracing: one event per call, cache hits included
+// const tracedApi = new ApiClient("https://jsonplaceholder.typicode.com", {
+//   cache: { ttl: 10000 },
+//   onTrace: event => console.log(JSON.stringify(event))
+// });
+// tracedApi.get("/users/1");  // {"method":"GET","template":"/users/:id","status":200,"cache":"miss",...}
+// tracedApi.get("/users/1");  // {"method":"GET","template":"/users/:id","status":null,"cache":"hit",...}
+
+// With retries (RetryPolicy lives in fetch_api_advanced.js)
+// const retryingApi = new ApiClient("https://jsonplaceholder.typicode.com", {
+//   retry: new RetryPolicy({ maxAttempts: 3, onAttempt: info => console.log(info) })
+// });
+
+/**
+ * DECLARATIVE RESOURCES
+ * ---------------------
+ * getUsers / createUser / updateUser / patchUser / deleteUser above
+ * (and UserAPI in Async/async_await_patterns.js) are the same CRUD
+ * functions written by hand - and they'd be written again for posts,
+ * comments, todos... defineResource generates them from one
+ * description, on top of ApiClient, so errors, retries, caching and
+ * schemas are handled in one place.
+ *
+ * const users = defineResource("users", { client: api, schema: userSchema });
+ *
+ * users.list({ _page: 1 })   → GET    /users?_page=1
+ * users.get(1)               → GET    /users/1
+ * users.create(data)         → POST   /users
+ * users.update(1, data)      → PUT    /users/1
+ * users.patch(1, changes)    → PATCH  /users/1
+ * users.delete(1)            → DELETE /users/1
+ * users.posts(1).list()      → GET    /users/1/posts     (nested)
+ * users.activate(1)          → POST   /users/1/activate  (custom action)
+ */
+
+function defineResource(name, definition = {}, parentPath = "") {
+  const client = definition.client || new ApiClient(definition.baseUrl || "");
+  const basePath = `${parentPath}${definition.path || `/${name}`}`;
+  const schema = definition.schema || null;
+  const typeName = definition.typeName || singularType(name);
+
+  const memberPath = id => `${basePath}/${encodeURIComponent(id)}`;
+
+  // Shared error handling: every error says which resource/action failed
+  const call = async (action, id, run) => {
+    try {
+      return await run();
+    } catch (error) {
+      if (error instanceof FetchError) {
+        error.resource = name;
+        error.action = action;
+        if (error instanceof HttpError && error.status === 404 && id !== undefined) {
+          error.message = `${typeName} ${id} not found`;
+        }
+      }
+      throw error;
+    }
+  };
+
+  const write = (method, endpoint, data, options = {}, expected = schema) =>
+    client.request(endpoint, {
+      ...options,
+      method,
+      body: data === undefined ? undefined : JSON.stringify(data),
+      schema: expected || undefined
+    });
+
+  const resource = {
+    name,
+    path: basePath,
+
+    list(params, options = {}) {
+      return call("list", undefined, () =>
+        client.get(withQuery(basePath, params), { ...options, ...(schema && { schema: [schema] }) }));
+    },
+
+    get(id, options = {}) {
+      return call("get", id, () =>
+        client.get(memberPath(id), { ...options, ...(schema && { schema }) }));
+    },
+
+    create(data, options) {
+      return call("create", undefined, () => write("POST", basePath, data, options));
+    },
+
+    update(id, data, options) {
+      return call("update", id, () => write("PUT", memberPath(id), data, options));
+    },
+
+    patch(id, changes, options) {
+      return call("patch", id, () => write("PATCH", memberPath(id), changes, options));
+    },
+
+    delete(id, options) {
+      return call("delete", id, () => write("DELETE", memberPath(id), undefined, options, null));
+    },
+
+    // TypeScript declarations for this resource (and its nested ones)
+    toDeclaration() {
+      return resourceDeclaration(name, definition, typeName);
+    }
+  };
+
+  // actions: { activate: { method: "POST", path: "/activate" },
+  //            search:   { method: "GET", path: "/search", collection: true } }
+  // Member actions take (id, data, options), collection ones (data, options).
+  // GET actions send data as the query string.
+  for (const [action, spec] of Object.entries(definition.actions || {})) {
+    const method = (spec.method || "POST").toUpperCase();
+    const expected = spec.schema || null;
+
+    const run = (endpoint, data, options = {}) => method === "GET"
+      ? client.get(withQuery(endpoint, data), { ...options, ...(expected && { schema: expected }) })
+      : write(method, endpoint, data, options, expected);
+
+    resource[action] = spec.collection
+      ? (data, options) => call(action, undefined, () =>
+        run(`${basePath}${spec.path || `/${action}`}`, data, options))
+      : (id, data, options) => call(action, id, () =>
+        run(`${memberPath(id)}${spec.path || `/${action}`}`, data, options));
+  }
+
+  // nested: { posts: { schema: postSchema } } → users.posts(1).list()
+  for (const [child, childDefinition] of Object.entries(definition.nested || {})) {
+    resource[child] = id => defineResource(child, { client, ...childDefinition }, memberPath(id));
+  }
+
+  return resource;
+}
+
+// "/users" + { _page: 1, q: "ann" } → "/users?_page=1&q=ann"
+function withQuery(path, params) {
+  if (!params || !Object.keys(params).length) return path;
+  return `${path}?${new URLSearchParams(params)}`;
+}
+
+// "users" → "User", "categories" → "Category"
+function singularType(name) {
+  const singular = name.endsWith("ies") ? `${name.slice(0, -3)}y` : name.replace(/s$/, "");
+  return singular.charAt(0).toUpperCase() + singular.slice(1);
+}
+
+// Schema (RESPONSE SCHEMAS rules) → TypeScript type
+function schemaToType(definition, indent = "") {
+  const rule = toRule(definition);
+
+  if (rule.fields) {
+    const lines = Object.entries(rule.fields).map(([key, child]) => {
+      const childRule = toRule(child);
+      // Missing fields are filled in when there's a default
+      const optional = childRule.required || childRule.default !== undefined ? "" : "?";
+      return `${indent}  ${key}${optional}: ${schemaToType(child, `${indent}  `)};`;
+    });
+    return `{\n${lines.join("\n")}\n${indent}}`;
+  }
+  if (rule.of) return `${schemaToType(rule.of, indent)}[]`;
+  if (rule.enum) {
+    const values = Array.isArray(rule.enum) ? rule.enum : rule.enum.values;
+    return values.map(value => JSON.stringify(value)).join(" | ");
+  }
+
+  switch (rule.type) {
+    case String: return "string";
+    case Number: return "number";
+    case Boolean: return "boolean";
+    case Date: return "Date";
+    default: return "unknown";
+  }
+}
+
+function resourceDeclaration(name, definition, typeName) {
+  const item = definition.schema ? typeName : "unknown";
+  const key = "id: string | number";
+  const opts = "options?: RequestOptions";
+  const parts = [];
+
+  if (definition.schema) {
+    parts.push(`export interface ${typeName} ${schemaToType(definition.schema)}`);
+  }
+
+  const members = [
+    `  list(params?: Record<string, string | number>, ${opts}): Promise<${item}[]>;`,
+    `  get(${key}, ${opts}): Promise<${item}>;`,
+    `  create(data: Partial<${item}>, ${opts}): Promise<${item}>;`,
+    `  update(${key}, data: Partial<${item}>, ${opts}): Promise<${item}>;`,
+    `  patch(${key}, changes: Partial<${item}>, ${opts}): Promise<${item}>;`,
+    `  delete(${key}, ${opts}): Promise<unknown>;`
+  ];
+
+  for (const [action, spec] of Object.entries(definition.actions || {})) {
+    // Reuse the item type when an action returns the resource itself
+    let result = spec.schema ? schemaToType(spec.schema, "  ") : "unknown";
+    if (spec.schema && spec.schema === definition.schema) result = item;
+    if (Array.isArray(spec.schema) && spec.schema[0] === definition.schema) result = `${item}[]`;
+    members.push(spec.collection
+      ? `  ${action}(data?: unknown, ${opts}): Promise<${result}>;`
+      : `  ${action}(${key}, data?: unknown, ${opts}): Promise<${result}>;`);
+  }
+
+  for (const [child, childDefinition] of Object.entries(definition.nested || {})) {
+    const childType = childDefinition.typeName || singularType(child);
+    members.push(`  ${child}(${key}): ${childType}Resource;`);
+    parts.push(resourceDeclaration(child, childDefinition, childType));
+  }
+
+  parts.push(`export interface ${typeName}Resource {\n${members.join("\n")}\n}`);
+  return parts.join("\n\n");
+}
+
+// Usage
+const postSchema = {
+  id: { type: Number, required: true },
+  userId: { type: Number, required: true },
+  title: { type: String, required: true },
+  body: String
+};
+
+const users = defineResource("users", {
+  client: api,
+  schema: userSchema,
+  nested: {
+    posts: { schema: postSchema }
+  },
+  actions: {
+    activate: { method: "POST" },
+    search: { method: "GET", collection: true, schema: [userSchema] }
+  }
+});
+
+// await users.list({ _page: 1 });
+// await users.get(1);                      // validated against userSchema
+// await users.patch(1, { name: "Ann" });
+// await users.posts(1).create({ title: "Hi", body: "..." });
+// await users.search({ q: "ann" });        // GET /users/search?q=ann
+// await users.activate(1);                 // POST /users/1/activate
+//
+// try { await users.get(999); }
+// catch (error) { error.message; error.resource; error.action; } // "User 999 not found", "users", "get"
+//
+// Declarations for editors / TS projects:
+// fs.writeFileSync("users.d.ts",
+//   "type RequestOptions = Record<string, unknown>;\n\n" + users.toDeclaration());
+
 /**
  * ============================================================
  * End of File
@@ -370,10 +370,71 @@ app.get('/redirect', (req, res) => {
  */
 
 const express2 = require('express');
+const crypto = require('crypto');
 const app2 = express2();
 
 app2.use(express2.json());
 
+// CORS - the browser clients (e.g. uploadFileChunked) run on another
+// origin, and a PUT with application/octet-stream needs a preflight.
+// CORS_ORIGINS="http://localhost:5173,https://app.example.com"
+const allowedOrigins = (process.env.CORS_ORIGINS || 'http://localhost:5173,http://127.0.0.1:5500').split(',');
+
+app2.use((req, res, next) => {
+  const origin = req.headers.origin;
+  
+  if (origin && allowedOrigins.includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE');
+    // traceparent: see the trace middleware below
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, traceparent');
+    res.setHeader('Access-Control-Expose-Headers', 'traceresponse');
+  }
+  
+  // Preflight: headers are all the browser needs
+  if (req.method === 'OPTIONS') {
+    return res.status(204).end();
+  }
+  
+  next();
+});
+
+// Trace context middleware
+// Clients (API / ApiClient in JavaScript/DOM_and_Fetch) send a W3C
+// header: traceparent: 00-<trace-id>-<client-span-id>-01
+// We keep the trace id, start our own span, and log ONE structured line
+// per request - grep the trace id to find the client call and the
+// server work that belongs together.
+app2.use((req, res, next) => {
+  const match = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/.exec(req.headers.traceparent || '');
+  const traceId = match ? match[1] : crypto.randomBytes(16).toString('hex');
+  const spanId = crypto.randomBytes(8).toString('hex');
+  
+  req.trace = {
+    traceId,
+    spanId,
+    parentSpanId: match ? match[2] : null,
+    // Forward this to downstream services to continue the trace
+    traceparent: `00-${traceId}-${spanId}-${match ? match[3] : '01'}`
+  };
+  res.setHeader('traceresponse', req.trace.traceparent);
+  
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    console.log(JSON.stringify({
+      type: 'http.server',
+      method: req.method,
+      route: req.route ? req.baseUrl + req.route.path : req.path,  // "/api/users/:id"
+      status: res.statusCode,
+      duration: Number(process.hrtime.bigint() - start) / 1e6,
+      ...req.trace
+    }));
+  });
+  
+  next();
+});
+
 // In-memory data store
 let users = [
   { id: 1, name: 'Alice', email: 'alice@example.com' },
@@ -434,6 +495,114 @@ app2.delete('/api/users/:id', (req, res) => {
   res.status(204).send();
 });
 
+/**
+ * CHUNKED UPLOADS
+ * ---------------
+ * Receives files in small pieces so a dropped connection only costs
+ * one chunk, not the whole file. Client: uploadFileChunked() in
+ * JavaScript/DOM_and_Fetch/fetch_api_advanced.js
+ *
+ * GET  /api/uploads/:uploadId               → { received: [0, 1, 2] }
+ * PUT  /api/uploads/:uploadId/chunks/:index → store one chunk (raw bytes)
+ * POST /api/uploads/:uploadId/complete      → join chunks into one file
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const UPLOAD_DIR = path.join(__dirname, 'uploads');
+
+// The id becomes a folder name - only allow safe characters
+function chunkDir(uploadId) {
+  return /^[\w-]{1,100}$/.test(uploadId)
+    ? path.join(UPLOAD_DIR, `${uploadId}.parts`)
+    : null;
+}
+
+// Which chunks already arrived? (lets the client resume)
+app2.get('/api/uploads/:uploadId', async (req, res) => {
+  const dir = chunkDir(req.params.uploadId);
+
+  if (!dir) {
+    return res.status(400).json({ error: 'Invalid upload id' });
+  }
+
+  try {
+    const files = await fs.promises.readdir(dir);
+    const received = files
+      .filter(name => /^\d+$/.test(name))
+      .map(Number)
+      .sort((a, b) => a - b);
+    res.json({ received });
+  } catch (error) {
+    res.json({ received: [] }); // Nothing uploaded yet
+  }
+});
+
+// Store one chunk
+app2.put(
+  '/api/uploads/:uploadId/chunks/:index',
+  express2.raw({ type: 'application/octet-stream', limit: '10mb' }),
+  async (req, res) => {
+    const dir = chunkDir(req.params.uploadId);
+    const index = Number(req.params.index);
+
+    if (!dir || !Number.isInteger(index) || index < 0) {
+      return res.status(400).json({ error: 'Invalid upload id or chunk index' });
+    }
+
+    try {
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      // Write to a temp name first so a half-written chunk never counts
+      const target = path.join(dir, String(index));
+      await fs.promises.writeFile(`${target}.tmp`, req.body);
+      await fs.promises.rename(`${target}.tmp`, target);
+
+      res.json({ index, size: req.body.length });
+    } catch (error) {
+      res.status(500).json({ error: 'Could not store chunk' });
+    }
+  }
+);
+
+// All chunks are here - stitch them together in order
+app2.post('/api/uploads/:uploadId/complete', async (req, res) => {
+  const dir = chunkDir(req.params.uploadId);
+  const { filename, totalChunks } = req.body;
+
+  if (!dir || !filename || !Number.isInteger(totalChunks) || totalChunks < 1) {
+    return res.status(400).json({ error: 'filename and totalChunks are required' });
+  }
+
+  try {
+    const missing = [];
+    for (let i = 0; i < totalChunks; i++) {
+      if (!fs.existsSync(path.join(dir, String(i)))) missing.push(i);
+    }
+
+    if (missing.length) {
+      return res.status(409).json({ error: 'Missing chunks', missing });
+    }
+
+    // basename() stops "../../etc/passwd" style names
+    const target = path.join(UPLOAD_DIR, `${req.params.uploadId}-${path.basename(filename)}`);
+    await fs.promises.writeFile(target, '');
+
+    for (let i = 0; i < totalChunks; i++) {
+      const chunk = await fs.promises.readFile(path.join(dir, String(i)));
+      await fs.promises.appendFile(target, chunk);
+    }
+
+    await fs.promises.rm(dir, { recursive: true, force: true });
+
+    const { size } = await fs.promises.stat(target);
+    res.status(201).json({ filename: path.basename(target), size });
+  } catch (error) {
+    res.status(500).json({ error: 'Could not complete upload' });
+  }
+});
+
 // Start server
 app2.listen(3000, () => {
   console.log('API server running on http://localhost:3000');
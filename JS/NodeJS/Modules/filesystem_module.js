@@ -446,6 +446,112 @@ async function getAllFiles(dirPath) {
   }
 }
 
+// Example 4: Stream a download straight to disk
+// Node version of downloadFile() in JavaScript/DOM_and_Fetch/fetch_api_advanced.js
+//
+// - Never holds the whole file in memory (chunks go straight to disk)
+// - Writes to "<file>.part" and resumes it with a Range request
+// - Optional SHA-256 check before renaming to the final name
+const crypto = require('crypto');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+async function downloadToFile(url, destination, options = {}) {
+  const { sha256, onProgress = () => {} } = options;
+  const partPath = `${destination}.part`;
+  const validatorPath = `${partPath}.validator`; // ETag/Last-Modified of the .part's file
+
+  // How much survived a previous attempt?
+  let offset = 0;
+  try {
+    offset = (await fsp.stat(partPath)).size;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  // Only resume if we know which version of the file the .part holds
+  const validator = offset > 0 ? await fsp.readFile(validatorPath, 'utf8').catch(() => null) : null;
+  if (!validator) offset = 0;
+
+  // If-Range: "send the rest only if the file is still this version,
+  // otherwise the whole (new) file" - never splice two versions
+  const response = await fetch(url, {
+    headers: offset > 0 ? { Range: `bytes=${offset}-`, 'If-Range': validator } : {}
+  });
+
+  // 416: the Range starts at the end - the .part file is already complete
+  const alreadyComplete = response.status === 416 && offset > 0;
+
+  if (alreadyComplete && response.body) {
+    await response.body.cancel();
+  }
+
+  if (!response.ok && !alreadyComplete) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  if (response.status === 200) {
+    offset = 0; // New file or Range ignored - start from scratch
+
+    // Remember the version for the next resume (If-Range needs a strong ETag)
+    const etag = response.headers.get('etag');
+    const nextValidator = etag && !etag.startsWith('W/') ? etag : response.headers.get('last-modified');
+    if (nextValidator) {
+      await fsp.writeFile(validatorPath, nextValidator);
+    } else {
+      await fsp.rm(validatorPath, { force: true });
+    }
+  }
+
+  // Hash what's already on disk so the digest covers the whole file
+  const hash = crypto.createHash('sha256');
+  if (sha256 && offset > 0) {
+    for await (const chunk of fs.createReadStream(partPath)) {
+      hash.update(chunk);
+    }
+  }
+
+  if (!alreadyComplete) {
+    // "bytes 500-999/1000" → 1000, otherwise Content-Length
+    const range = response.headers.get('content-range');
+    const length = Number(response.headers.get('content-length'));
+    const total = range ? Number(range.split('/')[1]) : offset + length || null;
+    let loaded = offset;
+
+    const progress = new Transform({
+      transform(chunk, encoding, callback) {
+        loaded += chunk.length;
+        if (sha256) hash.update(chunk);
+        onProgress({ loaded, total, percent: total ? Math.round((loaded / total) * 100) : null });
+        callback(null, chunk);
+      }
+    });
+
+    await pipeline(
+      Readable.fromWeb(response.body),
+      progress,
+      fs.createWriteStream(partPath, { flags: offset > 0 ? 'a' : 'w' })
+    );
+  }
+
+  if (sha256) {
+    const actual = hash.digest('hex');
+    if (actual !== sha256.toLowerCase()) {
+      await fsp.unlink(partPath);   // Corrupt - don't resume from it
+      await fsp.rm(validatorPath, { force: true });
+      throw new Error(`Checksum mismatch: expected ${sha256}, got ${actual}`);
+    }
+  }
+
+  await fsp.rename(partPath, destination);
+  await fsp.rm(validatorPath, { force: true });
+  return destination;
+}
+
+// downloadToFile('https://example.com/export.zip', path.join(__dirname, 'export.zip'), {
+//   sha256: 'e3b0c442...',
+//   onProgress: ({ percent }) => console.log(`${percent}%`)
+// });
+
 /**
  * ============================================================
  * Key Takeaways
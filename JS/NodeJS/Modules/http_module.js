@@ -414,13 +414,41 @@ let users = [
   { id: 2, name: 'Bob', email: 'bob@example.com' }
 ];
 
+// Trace context: continue the client's W3C traceparent
+// ("00-<trace-id>-<span-id>-01") and log one JSON line per request with
+// the same trace id, so client and server logs can be matched up
+const crypto = require('crypto');
+
+function traceRequest(req, res) {
+  const match = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/.exec(req.headers.traceparent || '');
+  const traceId = match ? match[1] : crypto.randomBytes(16).toString('hex');
+  const spanId = crypto.randomBytes(8).toString('hex');
+  const start = Date.now();
+  
+  res.setHeader('traceresponse', `00-${traceId}-${spanId}-${match ? match[3] : '01'}`);
+  res.on('finish', () => {
+    console.log(JSON.stringify({
+      type: 'http.server',
+      method: req.method,
+      url: req.url,
+      status: res.statusCode,
+      duration: Date.now() - start,
+      traceId,
+      spanId,
+      parentSpanId: match ? match[2] : null
+    }));
+  });
+}
+
 const apiServer = http.createServer((req, res) => {
   const { method, url } = req;
+  traceRequest(req, res);
   
   // CORS headers (allow cross-origin requests)
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, traceparent');
+  res.setHeader('Access-Control-Expose-Headers', 'traceresponse');
   
   // Handle preflight request
   if (method === 'OPTIONS') {
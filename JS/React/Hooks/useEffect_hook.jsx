@@ -16,7 +16,7 @@
  * ============================================================
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 
 /* ============================================================
    1. What is useEffect?
@@ -285,20 +285,28 @@ function FetchDataExample() {
   const [error, setError] = useState(null);
   
   useEffect(() => {
+    // Cancel the request if the component unmounts before it finishes
+    const controller = new AbortController();
+    
     const fetchData = async () => {
       try {
         setLoading(true);
-        const response = await fetch('https://api.example.com/data');
+        const response = await fetch('https://api.example.com/data', {
+          signal: controller.signal
+        });
         const result = await response.json();
         setData(result);
       } catch (err) {
+        if (err.name === 'AbortError') return; // unmounted - nothing to update
         setError(err.message);
       } finally {
-        setLoading(false);
+        if (!controller.signal.aborted) setLoading(false);
       }
     };
     
     fetchData();
+    
+    return () => controller.abort();
   }, []); // Fetch once on mount
   
   if (loading) return <p>Loading...</p>;
@@ -306,13 +314,58 @@ function FetchDataExample() {
   if (data) return <p>Data: {JSON.stringify(data)}</p>;
 }
 
+/**
+ * CANCELLATION SCOPE HOOK
+ * -----------------------
+ * One scope per mounted component: every request started with
+ * getSignal() - from effects OR event handlers - is aborted on unmount.
+ * The controller is created inside the effect, so StrictMode's
+ * mount -> unmount -> mount in development gets a fresh one.
+ * Pass deps to also cancel everything when they change.
+ */
+
+function useAbortScope(deps = []) {
+  const controllerRef = useRef(null);
+  
+  useEffect(() => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    return () => controller.abort();
+  }, deps);
+  
+  // Read at request time, never during render
+  return () => controllerRef.current.signal;
+}
+
+function SaveButton({ user }) {
+  const getSignal = useAbortScope();
+  
+  const save = async () => {
+    try {
+      await fetch(`/api/users/${user.id}`, {
+        method: 'PUT',
+        body: JSON.stringify(user),
+        signal: getSignal()
+      });
+    } catch (err) {
+      if (err.name !== 'AbortError') console.error(err);
+    }
+  };
+  
+  return <button onClick={save}>Save</button>;
+}
+
 /**
  * USE CASE 2: Subscribing to Events
  * ---------------------------------
  */
 
-function SubscriptionExample() {
+// outbox (optional): the OfflineQueue from Async/async_await_patterns.js,
+// to also show changes waiting to be synced
+function SubscriptionExample({ outbox }) {
   const [online, setOnline] = useState(navigator.onLine);
+  const [pending, setPending] = useState(0);
+  const [conflicts, setConflicts] = useState(0);
   
   useEffect(() => {
     const handleOnline = () => setOnline(true);
@@ -327,9 +380,24 @@ function SubscriptionExample() {
     };
   }, []);
   
+  useEffect(() => {
+    if (!outbox) return;
+    
+    const updatePending = event => setPending(event.pending);
+    const unsubscribe = [
+      ...['queued', 'synced', 'failed', 'drained'].map(type => outbox.on(type, updatePending)),
+      outbox.on('conflict', () => setConflicts(count => count + 1))
+    ];
+    outbox.load().then(items => setPending(items.length));
+    
+    return () => unsubscribe.forEach(off => off());
+  }, [outbox]);
+  
   return (
     <div>
       Status: {online ? '🟢 Online' : '🔴 Offline'}
+      {pending > 0 && <span> · {pending} change(s) waiting to sync</span>}
+      {conflicts > 0 && <span> · ⚠️ {conflicts} conflict(s)</span>}
     </div>
   );
 }
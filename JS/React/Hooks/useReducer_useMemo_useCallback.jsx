@@ -14,7 +14,9 @@
  * ============================================================
  */
 
-import React, { useReducer, useMemo, useCallback, useState } from 'react';
+import React, { useReducer, useMemo, useCallback, useState, useEffect } from 'react';
+// memoize from JavaScript/Async/async_await_patterns.js (PATTERN 6), copied into utils
+import { memoize } from './utils/memoize';
 
 /* ============================================================
    1. useReducer - Complex State Logic
@@ -254,6 +256,59 @@ function expensiveCalculation(num) {
   return result;
 }
 
+/**
+ * useMemo vs a shared memoize cache
+ *
+ * useMemo remembers ONE result per component instance:
+ * count 1 → 2 → 1 recalculates 1 again, and two <ExpensiveComponent />s
+ * calculate everything twice.
+ *
+ * A module-level memoize (LRU + TTL) remembers the last N inputs for
+ * every instance. For async functions it also shares in-flight
+ * promises, so components mounting together send one request.
+ *
+ * memoize() is defined once, in JavaScript/Async/async_await_patterns.js
+ * (PATTERN 6) - copy that version into utils/memoize.js and import it
+ * (see the imports at the top); don't keep a second one that drifts.
+ */
+
+const cachedCalculation = memoize(expensiveCalculation, { max: 50 });
+const fetchUserCached = memoize(
+  (id) => fetch(`/api/users/${id}`).then(res => {
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return res.json();
+  }),
+  { max: 200, ttl: 60000 }
+);
+
+function CachedCalculation({ userId }) {
+  const [count, setCount] = useState(0);
+  const [user, setUser] = useState(null);
+  
+  // Still useMemo (no work on unrelated re-renders),
+  // but going back to an earlier count is instant
+  const expensiveValue = useMemo(() => cachedCalculation(count), [count]);
+  
+  useEffect(() => {
+    let ignore = false;
+    fetchUserCached(userId)
+      .then(data => {
+        if (!ignore) setUser(data);
+      })
+      .catch(error => console.error('Failed to load user:', error));
+    return () => { ignore = true; };
+  }, [userId]);
+  
+  return (
+    <div>
+      <p>{user ? user.name : 'Loading...'}: {expensiveValue}</p>
+      <button onClick={() => setCount(count + 1)}>+1</button>
+      <button onClick={() => setCount(count - 1)}>-1</button>
+      <button onClick={() => fetchUserCached.invalidate(userId)}>Forget user</button>
+    </div>
+  );
+}
+
 /**
  * WHEN TO USE useMemo:
  * ✅ Expensive calculations (loops, sorting large arrays)
@@ -26,6 +26,7 @@ import {
   Link,
   useNavigate,
   useParams,
+  useLocation,
   Navigate,
   Outlet
 } from 'react-router-dom';
@@ -457,12 +458,22 @@ function UserDetails() {
   const [loading, setLoading] = React.useState(true);
   
   React.useEffect(() => {
-    fetch(`/api/users/${userId}`)
+    // Navigating to another user (or away) aborts the stale request,
+    // so a slow response can't overwrite the newer one
+    const controller = new AbortController();
+    setLoading(true);
+    
+    fetch(`/api/users/${userId}`, { signal: controller.signal })
       .then(res => res.json())
       .then(data => {
         setUser(data);
         setLoading(false);
+      })
+      .catch(err => {
+        if (err.name !== 'AbortError') setLoading(false);
       });
+    
+    return () => controller.abort();
   }, [userId]);
   
   if (loading) return <p>Loading...</p>;
@@ -476,6 +487,42 @@ function UserDetails() {
   );
 }
 
+/**
+ * PATTERN 2b: Cancel on Route Change
+ * ----------------------------------
+ * A signal scoped to the current location: requests started from event
+ * handlers (not just effects) are aborted when the user navigates.
+ */
+
+function useRouteSignal() {
+  const location = useLocation();
+  const controllerRef = React.useRef(null);
+  
+  React.useEffect(() => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    return () => controller.abort();
+  }, [location.key]);
+  
+  // Call at request time: fetch(url, { signal: getSignal() })
+  return () => controllerRef.current.signal;
+}
+
+function ExportButton() {
+  const getSignal = useRouteSignal();
+  
+  const exportReport = async () => {
+    try {
+      const res = await fetch('/api/reports/export', { signal: getSignal() });
+      console.log('Export ready:', await res.json());
+    } catch (err) {
+      if (err.name !== 'AbortError') console.error(err);
+    }
+  };
+  
+  return <button onClick={exportReport}>Export</button>;
+}
+
 /**
  * PATTERN 3: Breadcrumbs
  * ----------------------